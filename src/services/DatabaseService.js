@@ -1,8 +1,26 @@
 import { v4 as uuidv4 } from 'uuid';
+import { SCHEMA_VERSION, migrateRecord, needsMigration } from '../utils/migrations';
+import { DRAFT_ID } from '../utils/drafts';
+import { DEFAULT_RETENTION, createRevision, getRevisionsToPrune } from '../utils/revisions';
 
 const DB_NAME = 'buildingPlannerDB';
-const DB_VERSION = 1;
+// Version of the database, raised by one for every new store and every new
+// record schema (SCHEMA_VERSION in utils/migrations), whose upgrade migrates
+// the stored records. Never lower it: a browser can't open a database with
+// an older version than the one it has.
+// 1: drawings
+// 2: projects with levels; existing drawings are copied into projects
+// 3: revisions of saved projects
+// 4: records migrated to schema 1 (stamped with a schema version)
+// 5: draft of unsaved work
+// 6: records migrated to schema 2 (circles become ellipses)
+const DB_VERSION = 6;
 const DRAWINGS_STORE = 'drawings';
+const PROJECTS_STORE = 'projects';
+const REVISIONS_STORE = 'revisions';
+const DRAFTS_STORE = 'drafts';
+// The revision retention policy is a setting of this browser, not of a drawing
+const RETENTION_KEY = 'buildingPlanner.revisionRetention';
 
 class DatabaseService {
   constructor() {
@@ -27,6 +45,7 @@ class DatabaseService {
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
+        const existingStores = Array.from(db.objectStoreNames);
         
         // Create object stores if they don't exist
         if (!db.objectStoreNames.contains(DRAWINGS_STORE)) {
@@ -35,10 +54,71 @@ class DatabaseService {
           drawingStore.createIndex('lastModified', 'lastModified', { unique: false });
           console.log('Drawings store created');
         }
+        
+        if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+          const projectStore = db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+          projectStore.createIndex('name', 'name', { unique: false });
+          projectStore.createIndex('lastModified', 'lastModified', { unique: false });
+          console.log('Projects store created');
+          
+          // Upgrading from version 1: every drawing becomes a single-level project.
+          // The drawings themselves are left in place.
+          if (event.oldVersion >= 1) {
+            this.copyDrawingsToProjects(event.target.transaction);
+          }
+        }
+        
+        if (!db.objectStoreNames.contains(REVISIONS_STORE)) {
+          const revisionStore = db.createObjectStore(REVISIONS_STORE, { keyPath: 'id' });
+          revisionStore.createIndex('projectId', 'projectId', { unique: false });
+          console.log('Revisions store created');
+        }
+        
+        if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
+          db.createObjectStore(DRAFTS_STORE, { keyPath: 'id' });
+          console.log('Drafts store created');
+        }
+        
+        // Records that were already stored are brought up to the current schema
+        for (const storeName of [PROJECTS_STORE, REVISIONS_STORE]) {
+          if (existingStores.includes(storeName)) {
+            this.migrateStore(event.target.transaction, storeName);
+          }
+        }
       };
     });
   }
 
+  // Runs inside the upgrade transaction, which stays open until the copy is done
+  copyDrawingsToProjects(transaction) {
+    const projectStore = transaction.objectStore(PROJECTS_STORE);
+    const cursorRequest = transaction.objectStore(DRAWINGS_STORE).openCursor();
+    
+    cursorRequest.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        projectStore.put(migrateRecord(cursor.value));
+        cursor.continue();
+      }
+    };
+  }
+
+  // Runs inside the upgrade transaction. Records saved by a newer version of the
+  // app are left as they are.
+  migrateStore(transaction, storeName) {
+    const cursorRequest = transaction.objectStore(storeName).openCursor();
+    
+    cursorRequest.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        if (needsMigration(cursor.value)) {
+          cursor.update(migrateRecord(cursor.value));
+        }
+        cursor.continue();
+      }
+    };
+  }
+
   ensureDBConnection() {
     if (this.db) {
       return Promise.resolve();
@@ -46,52 +126,51 @@ class DatabaseService {
     return this.initDB();
   }
 
-  // Save a drawing to the database
-  async saveDrawing(name, shapes) {
+  // Save a record under a name in a store, replacing any record with that name.
+  // `fields` is stored as JSON, so only plain data survives.
+  async saveByName(storeName, name, fields) {
     await this.ensureDBConnection();
     
     return new Promise((resolve, reject) => {
       try {
-        // First check if a drawing with this name exists
+        // First check if a record with this name exists
         const getRequest = this.db
-          .transaction(DRAWINGS_STORE, 'readonly')
-          .objectStore(DRAWINGS_STORE)
+          .transaction(storeName, 'readonly')
+          .objectStore(storeName)
           .index('name')
           .get(name);
         
         getRequest.onsuccess = (event) => {
           try {
-            const existingDrawing = event.target.result;
-            const transaction = this.db.transaction(DRAWINGS_STORE, 'readwrite');
-            const store = transaction.objectStore(DRAWINGS_STORE);
+            const existingRecord = event.target.result;
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
             
-            // Create a serializable version of shapes by removing any non-serializable properties
-            // This converts shapes to a simple JSON structure
-            const serializableShapes = JSON.parse(JSON.stringify(shapes));
-            
-            const drawing = {
-              shapes: serializableShapes,
+            // Create a serializable version by removing any non-serializable properties
+            // This converts the record to a simple JSON structure
+            const record = {
+              ...JSON.parse(JSON.stringify(fields)),
               lastModified: new Date().toISOString(),
               name
             };
             
             let request;
             
-            if (existingDrawing) {
-              drawing.id = existingDrawing.id;
-              request = store.put(drawing);
+            if (existingRecord) {
+              record.id = existingRecord.id;
+              request = store.put(record);
             } else {
-              drawing.id = uuidv4();
-              drawing.created = new Date().toISOString();
-              request = store.add(drawing);
+              record.id = uuidv4();
+              record.created = new Date().toISOString();
+              request = store.add(record);
             }
             
             request.onsuccess = () => {
-              resolve(drawing);
+              resolve(record);
             };
             
             request.onerror = (err) => {
-              console.error('Error saving drawing:', err);
+              console.error(`Error saving to ${storeName}:`, err);
               reject(err.target.error);
             };
           } catch (error) {
@@ -101,24 +180,50 @@ class DatabaseService {
         };
         
         getRequest.onerror = (err) => {
-          console.error('Error checking for existing drawing:', err);
+          console.error(`Error checking for existing record in ${storeName}:`, err);
           reject(err.target.error);
         };
       } catch (error) {
-        console.error('Unexpected error in saveDrawing:', error);
+        console.error(`Unexpected error saving to ${storeName}:`, error);
         reject(error);
       }
     });
   }
 
-  // Load a drawing by its ID
-  async getDrawingById(id) {
+  // Store a complete record as it is, keeping its id and timestamps.
+  // Replaces any record with the same id.
+  async putRecord(storeName, record) {
+    await this.ensureDBConnection();
+    
+    return new Promise((resolve, reject) => {
+      try {
+        const request = this.db
+          .transaction(storeName, 'readwrite')
+          .objectStore(storeName)
+          .put(JSON.parse(JSON.stringify(record)));
+        
+        request.onsuccess = () => {
+          resolve(record);
+        };
+        
+        request.onerror = (err) => {
+          reject(err.target.error);
+        };
+      } catch (error) {
+        // e.g. a record without an id
+        reject(error);
+      }
+    });
+  }
+
+  // Load a record by its ID
+  async getById(storeName, id) {
     await this.ensureDBConnection();
     
     return new Promise((resolve, reject) => {
       const request = this.db
-        .transaction(DRAWINGS_STORE, 'readonly')
-        .objectStore(DRAWINGS_STORE)
+        .transaction(storeName, 'readonly')
+        .objectStore(storeName)
         .get(id);
       
       request.onsuccess = (event) => {
@@ -131,14 +236,14 @@ class DatabaseService {
     });
   }
 
-  // Load a drawing by name
-  async getDrawingByName(name) {
+  // Load a record by name
+  async getByName(storeName, name) {
     await this.ensureDBConnection();
     
     return new Promise((resolve, reject) => {
       const request = this.db
-        .transaction(DRAWINGS_STORE, 'readonly')
-        .objectStore(DRAWINGS_STORE)
+        .transaction(storeName, 'readonly')
+        .objectStore(storeName)
         .index('name')
         .get(name);
       
@@ -152,25 +257,46 @@ class DatabaseService {
     });
   }
 
-  // List all saved drawings
-  async getAllDrawings() {
+  // List the records of a store whose indexed field has a value
+  async getAllByIndex(storeName, indexName, value) {
     await this.ensureDBConnection();
     
     return new Promise((resolve, reject) => {
-      const drawings = [];
       const request = this.db
-        .transaction(DRAWINGS_STORE, 'readonly')
-        .objectStore(DRAWINGS_STORE)
+        .transaction(storeName, 'readonly')
+        .objectStore(storeName)
+        .index(indexName)
+        .getAll(value);
+      
+      request.onsuccess = (event) => {
+        resolve(event.target.result);
+      };
+      
+      request.onerror = (err) => {
+        reject(err.target.error);
+      };
+    });
+  }
+
+  // List every record in a store
+  async getAll(storeName) {
+    await this.ensureDBConnection();
+    
+    return new Promise((resolve, reject) => {
+      const records = [];
+      const request = this.db
+        .transaction(storeName, 'readonly')
+        .objectStore(storeName)
         .openCursor();
       
       request.onsuccess = (event) => {
         const cursor = event.target.result;
         
         if (cursor) {
-          drawings.push(cursor.value);
+          records.push(cursor.value);
           cursor.continue();
         } else {
-          resolve(drawings);
+          resolve(records);
         }
       };
       
@@ -180,14 +306,14 @@ class DatabaseService {
     });
   }
 
-  // Delete a drawing by ID
-  async deleteDrawing(id) {
+  // Delete a record by ID
+  async deleteById(storeName, id) {
     await this.ensureDBConnection();
     
     return new Promise((resolve, reject) => {
       const request = this.db
-        .transaction(DRAWINGS_STORE, 'readwrite')
-        .objectStore(DRAWINGS_STORE)
+        .transaction(storeName, 'readwrite')
+        .objectStore(storeName)
         .delete(id);
       
       request.onsuccess = () => {
@@ -199,6 +325,114 @@ class DatabaseService {
       };
     });
   }
+
+  // Save a drawing to the database.
+  // `properties` holds drawing-level settings (e.g. scale) stored alongside the shapes.
+  saveDrawing(name, shapes, properties = {}) {
+    return this.saveByName(DRAWINGS_STORE, name, { ...properties, shapes });
+  }
+
+  // Load a drawing by its ID
+  getDrawingById(id) {
+    return this.getById(DRAWINGS_STORE, id);
+  }
+
+  // Load a drawing by name
+  getDrawingByName(name) {
+    return this.getByName(DRAWINGS_STORE, name);
+  }
+
+  // List all saved drawings
+  getAllDrawings() {
+    return this.getAll(DRAWINGS_STORE);
+  }
+
+  // Delete a drawing by ID
+  deleteDrawing(id) {
+    return this.deleteById(DRAWINGS_STORE, id);
+  }
+
+  // Save a project with all of its levels, and keep the saved version as a revision.
+  // `properties` holds project-wide settings (scale, layers) stored alongside the levels;
+  // `note` is an optional description of the revision.
+  async saveProject(name, levels, properties = {}, note = '') {
+    const project = await this.saveByName(PROJECTS_STORE, name, { ...properties, levels, schemaVersion: SCHEMA_VERSION });
+    await this.putRecord(REVISIONS_STORE, createRevision(project, note));
+    await this.pruneRevisions(project.id);
+    return project;
+  }
+
+  // Load a project by its ID, upgraded to the current schema
+  async getProjectById(id) {
+    const project = await this.getById(PROJECTS_STORE, id);
+    return project && migrateRecord(project);
+  }
+
+  // List all saved projects
+  getAllProjects() {
+    return this.getAll(PROJECTS_STORE);
+  }
+
+  // Delete a project by ID, together with its revisions
+  async deleteProject(id) {
+    await this.deleteRevisions(id);
+    return this.deleteById(PROJECTS_STORE, id);
+  }
+
+  // List the revisions of a project, newest first
+  async getRevisions(projectId) {
+    const revisions = await this.getAllByIndex(REVISIONS_STORE, 'projectId', projectId);
+    return revisions.sort((a, b) => new Date(b.created) - new Date(a.created));
+  }
+
+  // Delete all revisions of a project
+  async deleteRevisions(projectId) {
+    const revisions = await this.getRevisions(projectId);
+    for (const revision of revisions) {
+      await this.deleteById(REVISIONS_STORE, revision.id);
+    }
+  }
+
+  // Delete the revisions of a project that the retention policy drops
+  async pruneRevisions(projectId) {
+    const pruned = getRevisionsToPrune(await this.getRevisions(projectId), this.getRevisionRetention());
+    for (const revision of pruned) {
+      await this.deleteById(REVISIONS_STORE, revision.id);
+    }
+    return pruned.length;
+  }
+
+  // The revision retention policy, `{ keep, maxAgeDays }`
+  getRevisionRetention() {
+    try {
+      return { ...DEFAULT_RETENTION, ...JSON.parse(localStorage.getItem(RETENTION_KEY)) };
+    } catch (error) {
+      return { ...DEFAULT_RETENTION };
+    }
+  }
+
+  setRevisionRetention(retention) {
+    localStorage.setItem(RETENTION_KEY, JSON.stringify(retention));
+  }
+
+  // Store a whole project record, e.g. one restored from a backup
+  putProject(project) {
+    return this.putRecord(PROJECTS_STORE, project);
+  }
+
+  // Keep the draft of unsaved work, replacing the previous one
+  saveDraft(draft) {
+    return this.putRecord(DRAFTS_STORE, draft);
+  }
+
+  // Load the draft of unsaved work, if there is one
+  getDraft() {
+    return this.getById(DRAFTS_STORE, DRAFT_ID);
+  }
+
+  clearDraft() {
+    return this.deleteById(DRAFTS_STORE, DRAFT_ID);
+  }
 }
 
 // Create and export a singleton instance
@@ -0,0 +1,81 @@
+/**
+ * Dimension labels for exported drawings.
+ *
+ * Labels are `{ x, y, text, anchor }` in world coordinates, placed where the
+ * canvas draws its on-screen annotations; `anchor` is 'start', 'middle' or
+ * 'end', like SVG's text-anchor. Exporters turn them into their own text
+ * elements. Labels of rotated shapes turn with the shape; the text itself
+ * stays level.
+ */
+import { formatLength, formatArea } from './units';
+import { distance } from './geometry';
+import { getWallSegments } from './walls';
+import { getPolygonArea, getPolygonPerimeter, getVisualCenter } from './polygons';
+import { fromShapeFrame } from './rotation';
+import { isCircle, getEllipseArea } from './ellipses';
+
+const label = (x, y, text, anchor = 'start') => ({ x, y, text, anchor });
+
+// Dimensions of a shape; openings also need their geometry on the host
+export const getShapeAnnotations = (shape, scale, openingGeometry = null) => {
+  switch (shape.type) {
+    case 'rectangle': {
+      const top = fromShapeFrame({ x: shape.x + shape.width / 2 - 15, y: shape.y - 5 }, shape);
+      const left = fromShapeFrame({ x: shape.x - 5, y: shape.y + shape.height / 2 }, shape);
+      return [
+        label(top.x, top.y, formatLength(shape.width, scale)),
+        label(left.x, left.y, formatLength(shape.height, scale), 'end')
+      ];
+    }
+
+    case 'ellipse': {
+      // The radius of a circle, or both diameters of an ellipse, then the area in the middle
+      const area = label(shape.x + shape.width / 2, shape.y + shape.height / 2 + 4, formatArea(getEllipseArea(shape), scale), 'middle');
+      if (isCircle(shape)) {
+        const radius = fromShapeFrame({ x: shape.x + shape.width / 2 - 20, y: shape.y - 5 }, shape);
+        return [label(radius.x, radius.y, `r=${formatLength(shape.width / 2, scale)}`), area];
+      }
+      const top = fromShapeFrame({ x: shape.x + shape.width / 2 - 15, y: shape.y - 5 }, shape);
+      const left = fromShapeFrame({ x: shape.x - 5, y: shape.y + shape.height / 2 }, shape);
+      return [
+        label(top.x, top.y, `d=${formatLength(shape.width, scale)}`),
+        label(left.x, left.y, `d=${formatLength(shape.height, scale)}`, 'end'),
+        area
+      ];
+    }
+
+    case 'line': {
+      const length = distance({ x: shape.startX, y: shape.startY }, { x: shape.endX, y: shape.endY });
+      return [label((shape.startX + shape.endX) / 2 + 5, (shape.startY + shape.endY) / 2 - 5, formatLength(length, scale))];
+    }
+
+    case 'wall':
+      return getWallSegments(shape).map(([a, b]) => (
+        label((a.x + b.x) / 2 + 5, (a.y + b.y) / 2 - 5, formatLength(distance(a, b), scale))
+      ));
+
+    case 'polygon': {
+      const center = getVisualCenter(shape.points);
+      return [
+        label(center.x, center.y + 16, formatArea(getPolygonArea(shape.points), scale), 'middle'),
+        label(center.x, center.y + 30, `P=${formatLength(getPolygonPerimeter(shape.points), scale)}`, 'middle')
+      ];
+    }
+
+    case 'door':
+    case 'window':
+      return openingGeometry
+        ? [label(openingGeometry.center.x + 5, openingGeometry.center.y - 5, formatLength(openingGeometry.width, scale))]
+        : [];
+
+    default:
+      return [];
+  }
+};
+
+// Room name at the room's visual center, or null for unnamed rooms
+export const getRoomLabel = (room) => {
+  if (!room.name) return null;
+  const center = getVisualCenter(room.points);
+  return label(center.x, center.y, room.name, 'middle');
+};
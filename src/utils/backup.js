@@ -0,0 +1,171 @@
+/**
+ * Backup files of saved drawings, for moving plans between browsers and
+ * keeping them safe from cleared site data.
+ *
+ * A backup is JSON holding whole project records as stored in IndexedDB:
+ *
+ *   {
+ *     "format": "building-planner/backup",
+ *     "version": 1,
+ *     "exported": "2024-05-01T12:00:00.000Z",
+ *     "projects": [ { "id": "…", "name": "…", "levels": [ … ], … }, … ]
+ *   }
+ *
+ * A single exported drawing is a backup with one project, so both import the
+ * same way. Records are checked one by one on import: a broken record, or
+ * one saved by a newer version of the app, is reported with its reason and
+ * the others are still imported. Records from older versions are migrated
+ * to the current schema.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { migrateRecord } from './migrations';
+
+export const BACKUP_FORMAT = 'building-planner/backup';
+export const BACKUP_VERSION = 1;
+
+// How an imported drawing that matches a saved one by id or name is handled
+export const CONFLICT_MODES = {
+  skip: 'Skip',
+  overwrite: 'Overwrite',
+  keepBoth: 'Keep both'
+};
+
+// JSON text of a backup holding the given projects
+export const createBackup = (projects) => {
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exported: new Date().toISOString(),
+    projects
+  }, null, 2);
+};
+
+// Why a record can't be imported, or null when it can
+const validateRecord = (record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return 'Not a drawing record.';
+  if (typeof record.name !== 'string' || !record.name.trim()) return 'Missing name.';
+
+  // Drawings saved before levels existed hold their shapes directly
+  const levels = Array.isArray(record.shapes) && !record.levels ? [{ shapes: record.shapes }] : record.levels;
+  if (!Array.isArray(levels)) return 'Missing levels.';
+  if (levels.length === 0) return 'Has no levels.';
+
+  for (const level of levels) {
+    if (!level || typeof level !== 'object' || !Array.isArray(level.shapes)) {
+      return 'A level has no shape list.';
+    }
+    if (!level.shapes.every(shape => shape && typeof shape === 'object' && typeof shape.type === 'string')) {
+      return `Level "${level.name}" has an invalid shape.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Read backup text. Returns `{ projects, failures }`, where `failures` lists
+ * `{ name, reason }` for records that were left out. Throws an Error when the
+ * file as a whole is not a backup this version can read.
+ */
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (backup?.format !== BACKUP_FORMAT || !Array.isArray(backup.projects)) {
+    throw new Error('The file is not a Building Planner backup.');
+  }
+  if (!(backup.version <= BACKUP_VERSION)) {
+    throw new Error(`The backup is version ${backup.version}; this version of the app reads up to version ${BACKUP_VERSION}.`);
+  }
+
+  const projects = [];
+  const failures = [];
+  backup.projects.forEach((record, index) => {
+    const name = typeof record?.name === 'string' ? record.name : `Record ${index + 1}`;
+    let reason = validateRecord(record);
+    let project = record;
+    if (!reason) {
+      try {
+        project = migrateRecord(record);
+      } catch (error) {
+        // Saved by a newer version of the app
+        reason = error.message;
+      }
+    }
+
+    if (reason) {
+      failures.push({ name, reason });
+    } else {
+      projects.push({ ...project, id: typeof project.id === 'string' && project.id ? project.id : uuidv4() });
+    }
+  });
+
+  return { projects, failures };
+};
+
+// The name itself if it is free, otherwise "Name (2)", "Name (3)", ...
+export const getUniqueName = (name, names) => {
+  if (!names.has(name)) return name;
+  let count = 2;
+  while (names.has(`${name} (${count})`)) count++;
+  return `${name} (${count})`;
+};
+
+/**
+ * Decide what happens to each imported project given the saved ones.
+ * Returns `{ put, skipped, replaced }`: `put` are the records to write, with
+ * ids and names adjusted for the conflict mode, `skipped` the names left out
+ * and `replaced` the ids of saved projects that are overwritten, whose
+ * revisions belong to what is being replaced.
+ * A project conflicts with a saved one (or an earlier one in the same
+ * import) that has its id or, failing that, its name. When overwriting a
+ * project matched by id whose name is taken by another one, the import gets
+ * a name like "House (2)" so the other project is left alone.
+ */
+export const planImport = (projects, existing, mode) => {
+  const known = [...existing];
+  const put = [];
+  const skipped = [];
+  const replaced = [];
+
+  for (const project of projects) {
+    const match = known.find(record => record.id === project.id) ||
+      known.find(record => record.name === project.name);
+
+    let record = project;
+    if (match) {
+      if (mode === 'skip') {
+        skipped.push(project.name);
+        continue;
+      }
+      if (mode === 'overwrite') {
+        known.splice(known.indexOf(match), 1);
+        const names = new Set(known.map(r => r.name));
+        record = { ...project, id: match.id, name: getUniqueName(project.name, names) };
+        if (existing.includes(match)) {
+          replaced.push(match.id);
+        }
+      } else {
+        const names = new Set(known.map(r => r.name));
+        record = {
+          ...project,
+          id: uuidv4(),
+          name: getUniqueName(project.name, names)
+        };
+      }
+    }
+
+    known.push(record);
+    put.push(record);
+  }
+
+  return { put, skipped, replaced };
+};
+
+// File name for a backup of one drawing, e.g. "Ground plan.json"
+export const getDrawingFileName = (project) => {
+  return `${project.name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'drawing'}.json`;
+};
@@ -0,0 +1,149 @@
+/**
+ * Clipboard payload for copying shapes between drawings and browser tabs.
+ *
+ * Copied shapes are written to the system clipboard as plain-text JSON:
+ *
+ *   {
+ *     "format": "building-planner/shapes",
+ *     "version": 2,
+ *     "schemaVersion": 2,
+ *     "pixelsPerMeter": 50,
+ *     "shapes": [ { "id": "…", "type": "rectangle", … }, … ]
+ *   }
+ *
+ * `shapes` are stored exactly as in a saved drawing with schema
+ * `schemaVersion` (see utils/migrations), in world pixels at
+ * `pixelsPerMeter`; pasting into a drawing with another scale resizes them so
+ * they keep their real-world size. Doors and windows refer to their host by
+ * `hostId`; hosts are copied together with their openings. Dimensions refer
+ * to the shapes they measure by `anchors`. Version 1 payloads have no
+ * `schemaVersion`; their shapes are those of schema 1. Pasted shapes are
+ * upgraded to the current schema as a loaded drawing is.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { translateShape, scaleShape } from './geometry';
+import { isOpening } from './openings';
+import { SCHEMA_VERSION, migrateRecord } from './migrations';
+
+export const CLIPBOARD_FORMAT = 'building-planner/shapes';
+export const CLIPBOARD_VERSION = 2;
+
+// Distance pasted shapes are moved from the originals, per paste
+export const PASTE_OFFSET = 20;
+
+// The selection plus any openings hosted by selected shapes
+const withHostedOpenings = (selection, shapes) => {
+  const ids = new Set(selection.map(shape => shape.id));
+  const openings = shapes.filter(shape => isOpening(shape) && ids.has(shape.hostId) && !ids.has(shape.id));
+  return [...selection, ...openings];
+};
+
+// JSON text for the clipboard
+export const serializeShapes = (selection, shapes, scale) => {
+  return JSON.stringify({
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    pixelsPerMeter: scale.pixelsPerMeter,
+    shapes: withHostedOpenings(selection, shapes)
+  }, null, 2);
+};
+
+/**
+ * Read clipboard text. Returns `{ pixelsPerMeter, shapes }` with the shapes
+ * upgraded to the current schema, or null when the text is not a shapes
+ * payload (e.g. ordinary copied text) or one this version can't read.
+ */
+export const parseClipboard = (text) => {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload?.format !== CLIPBOARD_FORMAT || !Array.isArray(payload.shapes)) return null;
+  if (payload.version > CLIPBOARD_VERSION) return null;
+
+  // The shapes are migrated as the single level of a saved drawing would be
+  const copied = {
+    levels: [{ shapes: payload.shapes.filter(shape => shape && typeof shape.type === 'string') }],
+    schemaVersion: payload.version < 2 ? 1 : payload.schemaVersion
+  };
+  let shapes;
+  try {
+    shapes = migrateRecord(copied).levels[0].shapes;
+  } catch (error) {
+    return null;
+  }
+
+  return {
+    pixelsPerMeter: payload.pixelsPerMeter > 0 ? payload.pixelsPerMeter : null,
+    shapes
+  };
+};
+
+// Resize a shape by `factor` about the world origin
+const rescaleShape = (shape, factor) => {
+  if (isOpening(shape)) {
+    return { ...shape, width: shape.width * factor };
+  }
+
+  const scaled = scaleShape(
+    shape,
+    { x: 0, y: 0, width: 1, height: 1 },
+    { x: 0, y: 0, width: factor, height: factor }
+  );
+  if (shape.thickness) {
+    scaled.thickness = shape.thickness * factor;
+  }
+  if (shape.offset) {
+    scaled.offset = shape.offset * factor;
+  }
+  if (shape.fontSize) {
+    scaled.fontSize = shape.fontSize * factor;
+  }
+  return scaled;
+};
+
+/**
+ * Turn copied shapes into new shapes for a drawing: fresh ids (and group ids),
+ * openings re-linked to their copied hosts, and everything moved by
+ * `offset`. Openings copied without their host are dropped: they are placed
+ * by their host, so a copy would sit exactly on the original. Dimensions stay
+ * attached only to shapes copied with them. `pixelsPerMeter` is the target
+ * drawing's scale.
+ */
+export const prepareShapesForPaste = (payload, { offset = PASTE_OFFSET, pixelsPerMeter } = {}) => {
+  const factor = payload.pixelsPerMeter && pixelsPerMeter ? pixelsPerMeter / payload.pixelsPerMeter : 1;
+  const newIds = new Map(payload.shapes.map(shape => [shape.id, uuidv4()]));
+  const newGroupIds = new Map();
+
+  return payload.shapes
+    .filter(shape => !isOpening(shape) || newIds.has(shape.hostId))
+    .map((shape) => {
+      let pasted = factor === 1 ? { ...shape } : rescaleShape(shape, factor);
+
+      if (isOpening(shape)) {
+        pasted.hostId = newIds.get(shape.hostId);
+      } else {
+        pasted = translateShape(pasted, offset, offset);
+      }
+
+      if (shape.anchors) {
+        pasted.anchors = shape.anchors.map(anchor => (
+          anchor && newIds.has(anchor.shapeId) ? { ...anchor, shapeId: newIds.get(anchor.shapeId) } : null
+        ));
+      }
+
+      if (shape.groupId) {
+        if (!newGroupIds.has(shape.groupId)) {
+          newGroupIds.set(shape.groupId, uuidv4());
+        }
+        pasted.groupId = newGroupIds.get(shape.groupId);
+      }
+
+      pasted.id = newIds.get(shape.id);
+      return pasted;
+    });
+};
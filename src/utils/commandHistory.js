@@ -0,0 +1,119 @@
+/**
+ * Undo/redo stack of reversible commands.
+ *
+ * A command is a plain object with a `label` and `undo()` / `redo()` methods.
+ * Commands may also implement `merge(next)`; inside a transaction, a command
+ * that returns true from `merge` absorbs the next one instead of stacking it,
+ * which is how a whole drag collapses into a single undo step.
+ */
+export default class CommandHistory {
+  constructor({ limit = 100, onChange = () => {} } = {}) {
+    this.limit = limit;
+    this.onChange = onChange;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.transaction = null;
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  get inTransaction() {
+    return this.transaction !== null;
+  }
+
+  // Apply a command and record it
+  execute(command) {
+    command.redo();
+    this.push(command);
+  }
+
+  // Record a command whose effect has already been applied
+  push(command) {
+    if (this.transaction) {
+      const commands = this.transaction.commands;
+      const last = commands[commands.length - 1];
+      if (!last || !last.merge || !last.merge(command)) {
+        commands.push(command);
+      }
+      return;
+    }
+
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.onChange();
+  }
+
+  // Start grouping subsequent commands into one undo step
+  beginTransaction(label) {
+    if (this.transaction) {
+      this.commitTransaction();
+    }
+    this.transaction = { label, commands: [] };
+  }
+
+  // Close the current transaction and record it as a single command
+  commitTransaction() {
+    const transaction = this.transaction;
+    this.transaction = null;
+
+    if (!transaction || transaction.commands.length === 0) return;
+
+    if (transaction.commands.length === 1) {
+      this.push(transaction.commands[0]);
+      return;
+    }
+
+    const commands = transaction.commands;
+    this.push({
+      label: transaction.label,
+      undo: () => {
+        for (let i = commands.length - 1; i >= 0; i--) {
+          commands[i].undo();
+        }
+      },
+      redo: () => {
+        for (const command of commands) {
+          command.redo();
+        }
+      }
+    });
+  }
+
+  undo() {
+    this.commitTransaction();
+    const command = this.undoStack.pop();
+    if (!command) return null;
+
+    command.undo();
+    this.redoStack.push(command);
+    this.onChange();
+    return command;
+  }
+
+  redo() {
+    this.commitTransaction();
+    const command = this.redoStack.pop();
+    if (!command) return null;
+
+    command.redo();
+    this.undoStack.push(command);
+    this.onChange();
+    return command;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.transaction = null;
+    this.onChange();
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Drawing constraints and smart guides.
+ *
+ * With Shift held, a segment being drawn turns in ANGLE_STEP steps from
+ * where it starts and a rectangle is drawn as a square. Without it, the
+ * point being placed lines up with features of other shapes (endpoints,
+ * corners, centers and the edges of their bounds) when it comes within
+ * tolerance of one horizontally or vertically; each alignment is shown as a
+ * guide from the feature to the point. Optionally, a segment also snaps
+ * parallel or perpendicular to the last straight edge the cursor passed over.
+ *
+ * Guides are `{ from, to, kind }` segments in world coordinates, where kind
+ * is 'align', 'parallel', 'perpendicular' or 'reference' (the edge a
+ * parallel or perpendicular segment follows). They are only drawn, never
+ * saved.
+ */
+import { pointToLineDistance, getSegments } from './geometry';
+import { getSnapPoints } from './snapping';
+import { getShapeBounds } from './viewport';
+import { getWallSegments } from './walls';
+import { getBoxCorners } from './rotation';
+import { constrainToCircle } from './ellipses';
+
+export const ANGLE_STEP = 45;
+
+// How close in degrees a segment has to come to parallel or perpendicular to snap to it
+export const DIRECTION_TOLERANCE = 4;
+
+// `start` moved `along` the direction at `radians`, with the float noise
+// rounded off so horizontal and vertical ends come out exact
+const moveAlong = (start, along, radians) => ({
+  x: start.x + Math.round(along * Math.cos(radians) * 1e9) / 1e9,
+  y: start.y + Math.round(along * Math.sin(radians) * 1e9) / 1e9
+});
+
+/**
+ * End of a segment from `start` turned to the nearest multiple of `step`
+ * degrees. The end keeps its distance along the new direction, so the
+ * segment follows the cursor.
+ */
+export const constrainAngle = (start, end, step = ANGLE_STEP) => {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  if (dx === 0 && dy === 0) return { x: end.x, y: end.y };
+
+  const angle = Math.round(Math.atan2(dy, dx) / (step * Math.PI / 180)) * step * Math.PI / 180;
+  return moveAlong(start, dx * Math.cos(angle) + dy * Math.sin(angle), angle);
+};
+
+// A rectangle is drawn square the same way an ellipse is drawn round, in a square box
+export const constrainToSquare = constrainToCircle;
+
+// Points of a shape that others line up with: its snap points, and the edges and center of its bounds
+const getGuidePoints = (shape) => {
+  const { minX, minY, maxX, maxY } = getShapeBounds(shape);
+  return [
+    ...getSnapPoints(shape),
+    { x: minX, y: minY },
+    { x: maxX, y: maxY },
+    { x: (minX + maxX) / 2, y: (minY + maxY) / 2 }
+  ];
+};
+
+/**
+ * Features that `point` lines up with: `{ vertical, horizontal }`, the
+ * feature whose x (for vertical) or y (for horizontal) is within
+ * `tolerance`, or null. The closest one wins, and of equally close ones
+ * the nearest, so guides stay short.
+ */
+export const findAlignment = (point, shapes, options = {}) => {
+  const { tolerance = 10, excludeIds = [] } = options;
+  let vertical = null;
+  let horizontal = null;
+  const closer = (best, offset, reach) => {
+    return !best || offset < best.offset || (offset === best.offset && reach < best.reach);
+  };
+
+  for (const shape of shapes) {
+    if (excludeIds.includes(shape.id)) continue;
+
+    for (const feature of getGuidePoints(shape)) {
+      const dx = Math.abs(feature.x - point.x);
+      const dy = Math.abs(feature.y - point.y);
+      if (dx <= tolerance && closer(vertical, dx, dy)) {
+        vertical = { offset: dx, reach: dy, x: feature.x, y: feature.y };
+      }
+      if (dy <= tolerance && closer(horizontal, dy, dx)) {
+        horizontal = { offset: dy, reach: dx, x: feature.x, y: feature.y };
+      }
+    }
+  }
+
+  return {
+    vertical: vertical && { x: vertical.x, y: vertical.y },
+    horizontal: horizontal && { x: horizontal.x, y: horizontal.y }
+  };
+};
+
+// `point` moved onto the features it lines up with, and the guides that show it
+export const applyAlignment = (point, alignment) => {
+  const { vertical, horizontal } = alignment;
+  const aligned = {
+    x: vertical ? vertical.x : point.x,
+    y: horizontal ? horizontal.y : point.y
+  };
+  const guides = [vertical, horizontal]
+    .filter(Boolean)
+    .map(feature => ({ from: feature, to: aligned, kind: 'align' }));
+
+  return { point: aligned, guides };
+};
+
+// Straight edges of a shape that a segment can be drawn parallel or perpendicular to
+const getStraightEdges = (shape) => {
+  switch (shape.type) {
+    case 'line':
+      return [[{ x: shape.startX, y: shape.startY }, { x: shape.endX, y: shape.endY }]];
+    case 'wall':
+      return getWallSegments(shape);
+    case 'polygon':
+      return getSegments(shape.points, true);
+    case 'rectangle':
+      return getSegments(getBoxCorners(shape), true);
+  }
+  return [];
+};
+
+// The straight edge of a line, wall, room or rectangle within `tolerance` of a point, or null
+export const findEdgeAt = (point, shapes, options = {}) => {
+  const { tolerance = 10, excludeIds = [] } = options;
+  let best = null;
+  let bestDistance = tolerance;
+
+  for (const shape of shapes) {
+    if (excludeIds.includes(shape.id)) continue;
+
+    for (const [a, b] of getStraightEdges(shape)) {
+      if (a.x === b.x && a.y === b.y) continue;
+      const d = pointToLineDistance(point, a, b);
+      if (d <= bestDistance) {
+        best = [a, b];
+        bestDistance = d;
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * End of a segment from `start` towards `point`, turned to run parallel or
+ * perpendicular to `edge` when it is within DIRECTION_TOLERANCE degrees of
+ * doing so: `{ point, guides }`, or null when it isn't.
+ */
+export const snapToEdgeDirection = (start, point, edge, tolerance = DIRECTION_TOLERANCE) => {
+  const [a, b] = edge;
+  const dx = point.x - start.x;
+  const dy = point.y - start.y;
+  if (dx === 0 && dy === 0) return null;
+
+  const edgeAngle = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+  const angle = Math.atan2(dy, dx) * 180 / Math.PI;
+
+  for (const [kind, turn] of [['parallel', 0], ['perpendicular', 90]]) {
+    // Difference to the nearest of the two directions along the edge (or across it)
+    const difference = ((angle - edgeAngle - turn) % 180 + 270) % 180 - 90;
+    if (Math.abs(difference) > tolerance) continue;
+
+    const radians = (angle - difference) * Math.PI / 180;
+    const snapped = moveAlong(start, dx * Math.cos(radians) + dy * Math.sin(radians), radians);
+
+    return {
+      point: snapped,
+      guides: [
+        { from: start, to: snapped, kind },
+        { from: a, to: b, kind: 'reference' }
+      ]
+    };
+  }
+
+  return null;
+};
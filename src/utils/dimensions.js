@@ -0,0 +1,203 @@
+/**
+ * Dimension lines between two points.
+ *
+ * A dimension shape measures from `points[0]` to `points[1]`. Aligned
+ * dimensions measure the straight distance between them; linear ones only
+ * its horizontal or vertical part (`direction`). The dimension line is drawn
+ * `offset` world pixels to the left of the measuring direction (above a
+ * dimension drawn left to right), with extension lines back to the points
+ * and arrowheads at both ends.
+ *
+ * Dimensions are associative: `anchors[i]` is `{ shapeId, index }` when
+ * point i sits on a snap point of another shape (the index into
+ * getSnapPoints), or null when it is free. When anchored shapes change, App
+ * moves the points with them through getAttachedDimensionUpdates.
+ */
+import { distance, withPointsBounds } from './geometry';
+import { getSnapPoints } from './snapping';
+import { normalizeAngle } from './rotation';
+
+export const DIMENSION_KINDS = ['aligned', 'linear'];
+
+export const DEFAULT_DIMENSION = {
+  kind: 'aligned',
+  offset: 20
+};
+
+// Sizes in world pixels, so dimensions scale with the plan like the rest of it
+export const DIMENSION_TEXT_SIZE = 12;
+const ARROW_LENGTH = 8;
+const ARROW_HALF_WIDTH = 2.5;
+const EXTENSION_GAP = 3;
+const EXTENSION_OVERSHOOT = 4;
+const LABEL_GAP = 3;
+
+// Linear dimensions measure along whichever axis the points are further apart on
+export const getLinearDirection = (a, b) => {
+  return Math.abs(b.x - a.x) >= Math.abs(b.y - a.y) ? 'horizontal' : 'vertical';
+};
+
+// Anchor for a snap target, or null when it isn't a point on a shape
+export const getAnchor = (target) => {
+  return target?.shapeId ? { shapeId: target.shapeId, index: target.index } : null;
+};
+
+// Current position of an anchor, or null when its shape or point is gone
+export const getAnchorPoint = (anchor, shapes) => {
+  const shape = anchor && shapes.find(s => s.id === anchor.shapeId);
+  const point = shape && getSnapPoints(shape)[anchor.index];
+  return point ? { x: point.x, y: point.y } : null;
+};
+
+/**
+ * A new dimension from `start` to `end`. `settings` are `{ kind, offset }`
+ * and `anchors` the anchors of the two points.
+ */
+export const createDimension = (start, end, settings, anchors = [null, null]) => {
+  return withPointsBounds({
+    type: 'dimension',
+    kind: settings.kind,
+    ...(settings.kind === 'linear' ? { direction: getLinearDirection(start, end) } : {}),
+    points: [{ x: start.x, y: start.y }, { x: end.x, y: end.y }],
+    anchors,
+    offset: settings.offset
+  });
+};
+
+// A dimension switched to another kind; linear ones pick their direction again
+export const setDimensionKind = (dimension, kind) => {
+  const { direction, ...rest } = dimension;
+  return kind === 'linear'
+    ? { ...rest, kind, direction: getLinearDirection(...dimension.points) }
+    : { ...rest, kind };
+};
+
+// Unit vector along which the dimension measures
+const getMeasureDirection = (dimension) => {
+  if (dimension.kind === 'linear') {
+    return dimension.direction === 'vertical' ? { x: 0, y: 1 } : { x: 1, y: 0 };
+  }
+
+  const [a, b] = dimension.points;
+  const length = distance(a, b);
+  return length > 0 ? { x: (b.x - a.x) / length, y: (b.y - a.y) / length } : { x: 1, y: 0 };
+};
+
+// Unit normal on the side the offset is measured to
+const getOffsetNormal = (dimension) => {
+  const u = getMeasureDirection(dimension);
+  return { x: u.y, y: -u.x };
+};
+
+/**
+ * Everything needed to draw a dimension, in world coordinates:
+ * `{ length, start, end, extensions, arrows, label }`. `start` and `end`
+ * are the ends of the dimension line, `extensions` the extension line
+ * segments, `arrows` triangles as point lists, and `label` the text
+ * position (on its baseline, centered) with its rotation in degrees.
+ */
+export const getDimensionGeometry = (dimension) => {
+  const [a, b] = dimension.points;
+  const u = getMeasureDirection(dimension);
+  const n = getOffsetNormal(dimension);
+  const offset = dimension.offset || 0;
+  const along = (b.x - a.x) * u.x + (b.y - a.y) * u.y;
+
+  const start = { x: a.x + n.x * offset, y: a.y + n.y * offset };
+  const end = { x: start.x + u.x * along, y: start.y + u.y * along };
+
+  // Extension lines leave a small gap at the measured point and run a little past the dimension line
+  const extensions = [[a, start], [b, end]]
+    .filter(([from, to]) => distance(from, to) > EXTENSION_GAP)
+    .map(([from, to]) => {
+      const length = distance(from, to);
+      const dx = (to.x - from.x) / length;
+      const dy = (to.y - from.y) / length;
+      return [
+        { x: from.x + dx * EXTENSION_GAP, y: from.y + dy * EXTENSION_GAP },
+        { x: to.x + dx * EXTENSION_OVERSHOOT, y: to.y + dy * EXTENSION_OVERSHOOT }
+      ];
+    });
+
+  // Arrowheads point outwards, onto the extension lines
+  const sign = along < 0 ? -1 : 1;
+  const arrow = (tip, inward) => {
+    const base = { x: tip.x + inward.x * ARROW_LENGTH, y: tip.y + inward.y * ARROW_LENGTH };
+    return [
+      tip,
+      { x: base.x + n.x * ARROW_HALF_WIDTH, y: base.y + n.y * ARROW_HALF_WIDTH },
+      { x: base.x - n.x * ARROW_HALF_WIDTH, y: base.y - n.y * ARROW_HALF_WIDTH }
+    ];
+  };
+  const arrows = [
+    arrow(start, { x: u.x * sign, y: u.y * sign }),
+    arrow(end, { x: -u.x * sign, y: -u.y * sign })
+  ];
+
+  // Text reads left to right or bottom to top, and always sits on the offset side of the line
+  let rotation = normalizeAngle(Math.atan2(u.y, u.x) * 180 / Math.PI);
+  const flipped = rotation > 90 && rotation <= 270;
+  if (flipped) rotation = normalizeAngle(rotation - 180);
+  const lift = LABEL_GAP + (flipped ? DIMENSION_TEXT_SIZE * 0.8 : 0);
+  const label = {
+    x: (start.x + end.x) / 2 + n.x * lift,
+    y: (start.y + end.y) / 2 + n.y * lift,
+    rotation
+  };
+
+  return { length: Math.abs(along), start, end, extensions, arrows, label };
+};
+
+// A dimension with its line dragged through `point`, i.e. with a new offset
+export const setDimensionOffset = (dimension, point) => {
+  const [a] = dimension.points;
+  const n = getOffsetNormal(dimension);
+  return { ...dimension, offset: (point.x - a.x) * n.x + (point.y - a.y) * n.y };
+};
+
+/**
+ * Dimensions that must change because of `changed` shapes: those anchored to
+ * a changed shape follow it, and changed dimensions whose points moved away
+ * from their anchors (e.g. moved on their own) let go of them. `shapes` is
+ * the drawing with the changes applied.
+ */
+export const getAttachedDimensionUpdates = (changed, shapes) => {
+  const changedIds = new Set(changed.map(shape => shape.id));
+  const updates = [];
+
+  for (const dimension of shapes.filter(shape => shape.type === 'dimension' && shape.anchors)) {
+    let movedPoints = false;
+    let anchors = dimension.anchors;
+    const points = dimension.points.map((point, i) => {
+      const anchor = anchors[i];
+      if (!anchor) return point;
+
+      const anchored = getAnchorPoint(anchor, shapes);
+      if (changedIds.has(anchor.shapeId)) {
+        if (!anchored) return point;
+        movedPoints = movedPoints || distance(anchored, point) > 1e-9;
+        return anchored;
+      }
+      if (changedIds.has(dimension.id) && (!anchored || distance(anchored, point) > 1e-9)) {
+        anchors = anchors.map((a, j) => (j === i ? null : a));
+      }
+      return point;
+    });
+
+    if (movedPoints || anchors !== dimension.anchors) {
+      updates.push(withPointsBounds({ ...dimension, points, anchors }));
+    }
+  }
+
+  return updates;
+};
+
+// Dimensions anchored to a shape let go of it, e.g. when its vertices are renumbered
+export const detachDimensions = (shapes, shapeId) => {
+  return shapes
+    .filter(shape => shape.type === 'dimension' && shape.anchors?.some(anchor => anchor?.shapeId === shapeId))
+    .map(dimension => ({
+      ...dimension,
+      anchors: dimension.anchors.map(anchor => (anchor?.shapeId === shapeId ? null : anchor))
+    }));
+};
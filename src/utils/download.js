@@ -0,0 +1,13 @@
+/**
+ * Saving generated files from the browser.
+ */
+
+// Offer text or binary content as a file download
+export const downloadFile = (content, type, fileName) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.download = fileName;
+  link.href = url;
+  link.click();
+  URL.revokeObjectURL(url);
+};
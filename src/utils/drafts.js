@@ -0,0 +1,45 @@
+/**
+ * Drafts of unsaved work, so edits survive a crashed or closed tab.
+ *
+ * The app autosaves its working state shortly after each edit: the levels
+ * and project settings, the view settings, and which saved drawing it
+ * belongs to. There is one draft, for the open drawing; saving the drawing
+ * clears it. On startup a draft is offered for recovery when it is newer
+ * than the saved drawing.
+ */
+import { SCHEMA_VERSION } from './migrations';
+
+export const DRAFT_ID = 'current';
+
+// Asked before loading another drawing over one with unsaved changes
+export const DISCARD_CHANGES_PROMPT = 'The drawing you are editing has unsaved changes, which will be lost. Continue?';
+
+// Quiet time after the last edit before the draft is written, in ms
+export const AUTOSAVE_DELAY = 1000;
+
+/**
+ * A draft record. `project` holds the working levels and settings, `view`
+ * the view settings, and `drawing` the saved drawing it belongs to
+ * (`{ id, name, lastModified }`, with a null id for a new drawing).
+ */
+export const createDraft = (project, view, drawing) => ({
+  ...JSON.parse(JSON.stringify({ ...project, view })),
+  id: DRAFT_ID,
+  projectId: drawing.id,
+  name: drawing.name,
+  savedAt: drawing.lastModified,
+  updated: new Date().toISOString(),
+  schemaVersion: SCHEMA_VERSION
+});
+
+// Whether a draft holds work that the saved drawing (if any) doesn't
+export const isDraftNewer = (draft, savedProject) => {
+  if (!savedProject?.lastModified) return true;
+  return new Date(draft.updated) > new Date(savedProject.lastModified);
+};
+
+// The project a draft was made from, as a saved project would load
+export const getDraftProject = (draft) => {
+  const { id, projectId, savedAt, updated, view, ...project } = draft;
+  return { ...project, id: projectId, lastModified: savedAt };
+};
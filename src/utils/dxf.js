@@ -0,0 +1,604 @@
+/**
+ * ASCII DXF import and export, for exchanging plans with CAD tools.
+ *
+ * Export writes an AutoCAD R12 (AC1009) file, the simplest version that
+ * every CAD tool reads: entities need no handles, and only the layer table
+ * and the linetype it uses are declared. Shapes are in real-world units (the
+ * drawing's unit, with inches for feet & inches) and with the Y axis pointing
+ * up, as CAD expects. Lines become LINE, rectangles, rooms and wall outlines
+ * closed POLYLINEs, circles CIRCLE, door swings ARC, text shapes and labels
+ * TEXT, and dimensions LINEs with SOLID arrowheads and TEXT. R12 has no
+ * ellipse entity, so other ellipses are closed POLYLINEs through points on
+ * their outline. Layers are written to the
+ * LAYER table (hidden layers switched off, locked layers locked) and colors
+ * are mapped to the nearest AutoCAD Color Index (ACI); shapes drawn "By
+ * layer" stay BYLAYER. Fills have no DXF counterpart here and are left out.
+ *
+ * Import reads LINE, CIRCLE, full ELLIPSE, LWPOLYLINE and 2D POLYLINE
+ * entities back into lines, ellipses and rectangles (other polylines become
+ * one line per segment, with arc segments split into short lines). Entities
+ * on layer "0" go onto the drawing's default layer. Every other entity,
+ * including elliptical arcs and polygon meshes, is counted and reported
+ * rather than silently dropped.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_SCALE, UNIT_SYSTEMS, formatLength } from './units';
+import { getSegments } from './geometry';
+import { getWallOutline } from './walls';
+import { isOpening, getOpeningGeometry, getOpeningSymbol } from './openings';
+import { DEFAULT_STROKE, DEFAULT_LAYERS, createLayer, getShapeLayer } from './layers';
+import { getShapeAnnotations, getRoomLabel } from './annotations';
+import { getRotation, getBoxCenter, getBoxCorners, rotatePoint, normalizeAngle } from './rotation';
+import { isCircle, getEllipseRadii } from './ellipses';
+import { DIMENSION_TEXT_SIZE, getDimensionGeometry } from './dimensions';
+import { getTextLabel } from './text';
+
+// $INSUNITS codes, with the size of each unit in meters
+const DXF_UNITS = {
+  1: 0.0254,
+  2: 0.3048,
+  4: 0.001,
+  5: 0.01,
+  6: 1
+};
+
+// DXF unit written for each of our unit systems
+const EXPORT_UNITS = { mm: 4, cm: 5, m: 6, 'ft-in': 1 };
+
+// Text height in world pixels, close to the 12px labels on screen
+const TEXT_HEIGHT = 10;
+
+const SUPPORTED_ENTITIES = ['LINE', 'CIRCLE', 'ELLIPSE', 'LWPOLYLINE', 'POLYLINE'];
+
+// Points written around an ellipse, and the largest angle an arc segment of a
+// polyline is split into on import
+const ELLIPSE_SEGMENTS = 72;
+const ARC_STEP = Math.PI / 18;
+
+// POLYLINE flags (group 70): closed, and the polygon meshes we can't read
+const POLYLINE_CLOSED = 1;
+const POLYLINE_MESH = 16 | 64;
+
+const ACI_BYBLOCK = 0;
+const ACI_BYLAYER = 256;
+
+const rgbToHex = ([r, g, b]) => '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+
+const hexToRgb = (hex) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return null;
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+const hsvToRgb = (hue, saturation, value) => {
+  const f = (n) => {
+    const k = (n + hue / 60) % 6;
+    return value - value * saturation * Math.max(0, Math.min(k, 4 - k, 1));
+  };
+  return [f(5), f(3), f(1)];
+};
+
+// The standard ACI palette. Index 7 is white on a dark background and black
+// on a light one; our plans are drawn on white, so it is black here.
+const ACI_COLORS = (() => {
+  const colors = [null, '#ff0000', '#ffff00', '#00ff00', '#00ffff', '#0000ff', '#ff00ff', '#000000', '#808080', '#c0c0c0'];
+  // 10-249: 24 hues in steps of 15°, each in five shades, strong then pale
+  const shades = [255, 189, 129, 104, 79];
+  for (let index = 10; index < 250; index++) {
+    const hue = Math.floor((index - 10) / 10) * 15;
+    const step = (index - 10) % 10;
+    colors[index] = rgbToHex(hsvToRgb(hue, step % 2 ? 1 / 3 : 1, shades[Math.floor(step / 2)]));
+  }
+  // 250-255: greys
+  colors.push('#333333', '#505050', '#696969', '#828282', '#bebebe', '#ffffff');
+  return colors;
+})();
+
+export const aciToHex = (index) => ACI_COLORS[Math.abs(index)] || null;
+
+// Nearest ACI color to a hex color
+export const hexToAci = (hex) => {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return 7;
+
+  let best = 7;
+  let bestDistance = Infinity;
+  ACI_COLORS.forEach((color, index) => {
+    if (!color) return;
+    const [r, g, b] = hexToRgb(color);
+    const d = (r - rgb[0]) ** 2 + (g - rgb[1]) ** 2 + (b - rgb[2]) ** 2;
+    if (d < bestDistance) {
+      best = index;
+      bestDistance = d;
+    }
+  });
+  return best;
+};
+
+// Layer names may not contain these characters in DXF
+const toDxfLayerName = (name) => name.replace(/[<>/\\":;?*|=`]/g, '_').trim() || 'Layer';
+
+const pair = (code, value) => `${String(code).padStart(3)}\n${value}`;
+
+const num = (value) => String(Number(value.toFixed(6)));
+
+/**
+ * ASCII DXF for a drawing. Options: `scale` for units, `layers` for the
+ * layer table and "By layer" colors, and `annotations` to add dimension
+ * text. Room names are always written.
+ */
+export const exportDxf = (shapes, { scale = DEFAULT_SCALE, layers = DEFAULT_LAYERS, annotations = false } = {}) => {
+  const unit = scale.unit in EXPORT_UNITS ? scale.unit : DEFAULT_SCALE.unit;
+  const unitCode = EXPORT_UNITS[unit];
+  const pixelsPerUnit = scale.pixelsPerMeter * DXF_UNITS[unitCode];
+  const x = (value) => num(value / pixelsPerUnit);
+  // Canvas Y points down, DXF Y points up
+  const y = (value) => num(-value / pixelsPerUnit);
+
+  const layerNames = new Map(layers.map(layer => [layer.id, toDxfLayerName(layer.name)]));
+  const entities = [];
+
+  const layerName = (shape) => layerNames.get(getShapeLayer(shape, layers)?.id) || '0';
+
+  const entity = (type, shape, ...pairs) => {
+    const color = shape.color ? hexToAci(shape.color) : ACI_BYLAYER;
+    entities.push(
+      pair(0, type),
+      pair(8, layerName(shape)),
+      pair(62, color),
+      ...pairs
+    );
+  };
+
+  // 66: vertices follow, each a VERTEX entity, up to the SEQEND
+  const polyline = (shape, points, closed) => {
+    entity('POLYLINE', shape,
+      pair(66, 1),
+      pair(10, 0), pair(20, 0), pair(30, 0),
+      pair(70, closed ? POLYLINE_CLOSED : 0)
+    );
+    for (const p of points) {
+      entities.push(pair(0, 'VERTEX'), pair(8, layerName(shape)), pair(10, x(p.x)), pair(20, y(p.y)), pair(30, 0));
+    }
+    entities.push(pair(0, 'SEQEND'), pair(8, layerName(shape)));
+  };
+
+  const line = (shape, a, b) => {
+    entity('LINE', shape,
+      pair(10, x(a.x)), pair(20, y(a.y)), pair(30, 0),
+      pair(11, x(b.x)), pair(21, y(b.y)), pair(31, 0)
+    );
+  };
+
+  const text = (shape, { x: tx, y: ty, text: content, anchor, rotation, size = TEXT_HEIGHT }) => {
+    // 72: horizontal alignment, placed at the second point unless left-aligned
+    const align = { start: 0, middle: 1, end: 2 }[anchor];
+    entity('TEXT', shape,
+      pair(10, x(tx)), pair(20, y(ty)), pair(30, 0),
+      pair(40, num(size / pixelsPerUnit)),
+      pair(1, content.replace(/[\r\n]+/g, ' ')),
+      // 50: rotation, anticlockwise once Y points up
+      ...(rotation ? [pair(50, num(normalizeAngle(-rotation)))] : []),
+      ...(align ? [pair(72, align), pair(11, x(tx)), pair(21, y(ty)), pair(31, 0)] : [])
+    );
+  };
+
+  for (const shape of shapes) {
+    switch (shape.type) {
+      case 'line':
+        line(shape, { x: shape.startX, y: shape.startY }, { x: shape.endX, y: shape.endY });
+        break;
+
+      case 'rectangle':
+        polyline(shape, getBoxCorners(shape), true);
+        break;
+
+      case 'ellipse': {
+        const center = getBoxCenter(shape);
+        if (isCircle(shape)) {
+          entity('CIRCLE', shape,
+            pair(10, x(center.x)), pair(20, y(center.y)), pair(30, 0),
+            pair(40, num(shape.width / 2 / pixelsPerUnit))
+          );
+          break;
+        }
+
+        const { rx, ry } = getEllipseRadii(shape);
+        const outline = Array.from({ length: ELLIPSE_SEGMENTS }, (_, i) => {
+          const angle = i / ELLIPSE_SEGMENTS * Math.PI * 2;
+          const point = { x: center.x + rx * Math.cos(angle), y: center.y + ry * Math.sin(angle) };
+          return rotatePoint(point, center, getRotation(shape));
+        });
+        polyline(shape, outline, true);
+        break;
+      }
+
+      case 'wall':
+        for (const ring of getWallOutline(shape)) {
+          polyline(shape, ring, true);
+        }
+        break;
+
+      case 'polygon': {
+        polyline(shape, shape.points, true);
+        const label = getRoomLabel(shape);
+        if (label) text(shape, label);
+        break;
+      }
+
+      case 'text':
+        text(shape, getTextLabel(shape));
+        break;
+
+      case 'dimension': {
+        const { length, start, end, extensions, arrows, label } = getDimensionGeometry(shape);
+        for (const [a, b] of [[start, end], ...extensions]) {
+          line(shape, a, b);
+        }
+        // SOLID takes four corners; a triangle repeats the last
+        for (const [tip, left, right] of arrows) {
+          entity('SOLID', shape,
+            pair(10, x(tip.x)), pair(20, y(tip.y)), pair(30, 0),
+            pair(11, x(left.x)), pair(21, y(left.y)), pair(31, 0),
+            pair(12, x(right.x)), pair(22, y(right.y)), pair(32, 0),
+            pair(13, x(right.x)), pair(23, y(right.y)), pair(33, 0)
+          );
+        }
+        text(shape, { ...label, text: formatLength(length, scale), anchor: 'middle', size: DIMENSION_TEXT_SIZE });
+        break;
+      }
+
+      case 'door':
+      case 'window': {
+        const geometry = getOpeningGeometry(shape, shapes.find(s => s.id === shape.hostId));
+        if (!geometry) break;
+
+        const { lines, swing } = getOpeningSymbol(shape, geometry);
+        for (const [a, b] of lines) {
+          line(shape, a, b);
+        }
+        if (swing) {
+          // Flipping Y mirrors angles; DXF arcs always run anticlockwise
+          const toDegrees = (angle) => num(((-angle * 180 / Math.PI) % 360 + 360) % 360);
+          const [from, to] = swing.anticlockwise
+            ? [swing.startAngle, swing.endAngle]
+            : [swing.endAngle, swing.startAngle];
+          entity('ARC', shape,
+            pair(10, x(swing.hinge.x)), pair(20, y(swing.hinge.y)), pair(30, 0),
+            pair(40, num(swing.radius / pixelsPerUnit)),
+            pair(50, toDegrees(from)),
+            pair(51, toDegrees(to))
+          );
+        }
+        break;
+      }
+    }
+
+    if (annotations) {
+      const geometry = isOpening(shape) ? getOpeningGeometry(shape, shapes.find(s => s.id === shape.hostId)) : null;
+      for (const label of getShapeAnnotations(shape, scale, geometry)) {
+        text(shape, label);
+      }
+    }
+  }
+
+  // 72: alignment code, always 65; 73: number of dash elements
+  const linetypeTable = [
+    pair(0, 'LTYPE'), pair(2, 'CONTINUOUS'), pair(70, 0), pair(3, 'Solid line'),
+    pair(72, 65), pair(73, 0), pair(40, 0)
+  ];
+
+  const layerTable = layers.flatMap((layer) => {
+    const color = hexToAci(layer.color || DEFAULT_STROKE);
+    return [
+      pair(0, 'LAYER'),
+      pair(2, layerNames.get(layer.id)),
+      // 4: locked
+      pair(70, layer.locked ? 4 : 0),
+      // A negative color switches the layer off
+      pair(62, layer.visible ? color : -color),
+      pair(6, 'CONTINUOUS')
+    ];
+  });
+
+  return [
+    pair(0, 'SECTION'), pair(2, 'HEADER'),
+    pair(9, '$ACADVER'), pair(1, 'AC1009'),
+    // Not an R12 variable, but read by later versions and by our import
+    pair(9, '$INSUNITS'), pair(70, unitCode),
+    pair(0, 'ENDSEC'),
+    pair(0, 'SECTION'), pair(2, 'TABLES'),
+    pair(0, 'TABLE'), pair(2, 'LTYPE'), pair(70, 1),
+    ...linetypeTable,
+    pair(0, 'ENDTAB'),
+    pair(0, 'TABLE'), pair(2, 'LAYER'), pair(70, layers.length),
+    ...layerTable,
+    pair(0, 'ENDTAB'),
+    pair(0, 'ENDSEC'),
+    pair(0, 'SECTION'), pair(2, 'ENTITIES'),
+    ...entities,
+    pair(0, 'ENDSEC'),
+    pair(0, 'EOF'),
+    ''
+  ].join('\n');
+};
+
+// Group code / value pairs of an ASCII DXF file
+const parsePairs = (text) => {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i].trim(), 10);
+    if (Number.isNaN(code)) {
+      throw new Error(`Line ${i + 1} should hold a group code, found "${lines[i].trim()}". Only ASCII DXF is supported.`);
+    }
+    pairs.push({ code, value: lines[i + 1].trim() });
+  }
+  return pairs;
+};
+
+// Split the pairs of a section into records, each starting at a 0 code
+const splitRecords = (pairs) => {
+  const records = [];
+  for (const p of pairs) {
+    if (p.code === 0) {
+      records.push({ type: p.value, pairs: [] });
+    } else if (records.length > 0) {
+      records[records.length - 1].pairs.push(p);
+    }
+  }
+  return records;
+};
+
+const getSections = (pairs) => {
+  const sections = {};
+  let current = null;
+  for (let i = 0; i < pairs.length; i++) {
+    const { code, value } = pairs[i];
+    if (code === 0 && value === 'SECTION' && pairs[i + 1]?.code === 2) {
+      current = pairs[i + 1].value;
+      sections[current] = [];
+      i++;
+    } else if (code === 0 && value === 'ENDSEC') {
+      current = null;
+    } else if (current) {
+      sections[current].push(pairs[i]);
+    }
+  }
+  return sections;
+};
+
+const first = (record, code) => record.pairs.find(p => p.code === code)?.value;
+const firstNumber = (record, code, fallback = 0) => {
+  const value = parseFloat(first(record, code));
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Vertices of an LWPOLYLINE: each 10 starts a vertex, the following 20 and 42 (bulge) complete it
+const getPolylinePoints = (record) => {
+  const points = [];
+  for (const { code, value } of record.pairs) {
+    if (code === 10) points.push({ x: parseFloat(value), y: 0, bulge: 0 });
+    if (code === 20 && points.length > 0) points[points.length - 1].y = parseFloat(value);
+    if (code === 42 && points.length > 0) points[points.length - 1].bulge = parseFloat(value) || 0;
+  }
+  return points;
+};
+
+/**
+ * Points along the arc segment of a polyline from `a` to `b`, leaving out
+ * both ends, at most ARC_STEP apart. The bulge is the tangent of a quarter of
+ * the arc's angle, positive when it runs anticlockwise (in DXF coordinates).
+ */
+const getArcPoints = (a, b, bulge) => {
+  const chord = Math.hypot(b.x - a.x, b.y - a.y);
+  if (!bulge || chord === 0) return [];
+
+  const angle = 4 * Math.atan(bulge);
+  // The center is off the chord's midpoint, to the left of a → b for a small anticlockwise arc
+  const offset = chord / 2 * (1 - bulge * bulge) / (2 * bulge);
+  const center = {
+    x: (a.x + b.x) / 2 - (b.y - a.y) / chord * offset,
+    y: (a.y + b.y) / 2 + (b.x - a.x) / chord * offset
+  };
+  const radius = Math.hypot(a.x - center.x, a.y - center.y);
+  const start = Math.atan2(a.y - center.y, a.x - center.x);
+  const steps = Math.ceil(Math.abs(angle) / ARC_STEP);
+  return Array.from({ length: steps - 1 }, (_, i) => {
+    const t = start + angle * (i + 1) / steps;
+    return { x: center.x + radius * Math.cos(t), y: center.y + radius * Math.sin(t) };
+  });
+};
+
+// The vertices of a polyline with its arc segments split into short straight ones
+const withArcPoints = (vertices, closed) => vertices.flatMap((vertex, i) => {
+  const next = vertices[i + 1] || (closed ? vertices[0] : null);
+  return [vertex, ...(next ? getArcPoints(vertex, next, vertex.bulge) : [])];
+});
+
+// POLYLINE records with the VERTEX records that follow them as `vertices`;
+// the SEQEND only closes the list
+const groupVertices = (records) => {
+  const grouped = [];
+  let polyline = null;
+  for (const record of records) {
+    if (record.type === 'VERTEX' && polyline) {
+      polyline.vertices.push(record);
+    } else if (record.type === 'SEQEND' && polyline) {
+      polyline = null;
+    } else {
+      polyline = record.type === 'POLYLINE' ? { ...record, vertices: [] } : null;
+      grouped.push(polyline || record);
+    }
+  }
+  return grouped;
+};
+
+// Polygon meshes and polyface meshes are POLYLINEs too, but not outlines
+const isMesh = (record) => (parseInt(first(record, 70), 10) & POLYLINE_MESH) !== 0;
+
+// A shape spanning the box from a to b, with the fields the drawing tools give it
+const boxShape = (type, a, b, props) => ({
+  id: uuidv4(),
+  type,
+  x: Math.min(a.x, b.x),
+  y: Math.min(a.y, b.y),
+  width: Math.abs(b.x - a.x),
+  height: Math.abs(b.y - a.y),
+  startX: a.x,
+  startY: a.y,
+  endX: b.x,
+  endY: b.y,
+  ...props
+});
+
+// Elliptical arcs (start and end parameters short of a full turn) are not supported
+const isFullEllipse = (record) => {
+  return Math.abs(firstNumber(record, 42, Math.PI * 2) - firstNumber(record, 41) - Math.PI * 2) < 1e-6;
+};
+
+const isAxisAlignedRectangle = (points) => {
+  if (points.length !== 4) return false;
+  return getSegments(points, true).every(([a, b]) => a.x === b.x || a.y === b.y);
+};
+
+/**
+ * Shapes from an ASCII DXF file. `scale` converts real-world units to
+ * pixels and `layers` are the drawing's layers, matched by name. Returns
+ * `{ shapes, layers, unsupported }`: `layers` is the list with any new DXF
+ * layers added, and `unsupported` counts skipped entities by type, e.g.
+ * `{ HATCH: 2 }`. Throws an Error for files that can't be read.
+ */
+export const importDxf = (text, { scale = DEFAULT_SCALE, layers = DEFAULT_LAYERS } = {}) => {
+  const sections = getSections(parsePairs(text));
+  if (!sections.ENTITIES) {
+    throw new Error('The file has no ENTITIES section.');
+  }
+
+  // Units from the header; unitless files are taken to be in the drawing's units
+  const header = sections.HEADER || [];
+  const unitsIndex = header.findIndex(p => p.code === 9 && p.value === '$INSUNITS');
+  const unitCode = unitsIndex === -1 ? null : parseInt(header[unitsIndex + 1]?.value, 10);
+  const unitMeters = DXF_UNITS[unitCode] || UNIT_SYSTEMS[scale.unit]?.meters || 1;
+  const pixelsPerUnit = scale.pixelsPerMeter * unitMeters;
+  // `|| 0` keeps -0 out of the shapes
+  const toPoint = (dxfX, dxfY) => ({ x: dxfX * pixelsPerUnit, y: -dxfY * pixelsPerUnit || 0 });
+
+  // Layers are matched by name; DXF layers we don't have yet are added, except
+  // for AutoCAD's default layer "0", which is our default layer
+  let resultLayers = [...layers];
+  const layerColors = new Map();
+  for (const record of splitRecords(sections.TABLES || []).filter(r => r.type === 'LAYER')) {
+    layerColors.set(first(record, 2), parseInt(first(record, 62), 10));
+  }
+  const getLayerId = (name = '0') => {
+    let layer = resultLayers.find(l => l.name === name);
+    if (!layer && name === '0') {
+      layer = getShapeLayer({}, resultLayers);
+    }
+    if (!layer) {
+      const aci = layerColors.get(name);
+      layer = {
+        ...createLayer(resultLayers),
+        name,
+        visible: !(aci < 0),
+        color: Number.isFinite(aci) && aci !== 7 ? aciToHex(aci) : null
+      };
+      resultLayers = [...resultLayers, layer];
+    }
+    return layer.id;
+  };
+
+  const shapes = [];
+  const unsupported = {};
+
+  for (const record of groupVertices(splitRecords(sections.ENTITIES))) {
+    // Skipped entities shouldn't add layers
+    if (!SUPPORTED_ENTITIES.includes(record.type) ||
+      (record.type === 'ELLIPSE' && !isFullEllipse(record)) ||
+      (record.type === 'POLYLINE' && isMesh(record))) {
+      unsupported[record.type] = (unsupported[record.type] || 0) + 1;
+      continue;
+    }
+
+    const aci = parseInt(first(record, 62), 10);
+    const props = {
+      layerId: getLayerId(first(record, 8)),
+      color: Number.isFinite(aci) && aci !== ACI_BYLAYER && aci !== ACI_BYBLOCK ? aciToHex(aci) : null,
+      fillColor: 'transparent'
+    };
+    const lineShape = (a, b) => boxShape('line', a, b, props);
+
+    // An axis-aligned closed outline of four corners is a rectangle, anything else a line per segment
+    const polylineShapes = (points, closed) => {
+      if (closed && isAxisAlignedRectangle(points)) {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        return [boxShape(
+          'rectangle',
+          { x: Math.min(...xs), y: Math.min(...ys) },
+          { x: Math.max(...xs), y: Math.max(...ys) },
+          props
+        )];
+      }
+      return getSegments(points, closed).map(([a, b]) => lineShape(a, b));
+    };
+
+    switch (record.type) {
+      case 'LINE':
+        shapes.push(lineShape(
+          toPoint(firstNumber(record, 10), firstNumber(record, 20)),
+          toPoint(firstNumber(record, 11), firstNumber(record, 21))
+        ));
+        break;
+
+      case 'CIRCLE': {
+        const center = toPoint(firstNumber(record, 10), firstNumber(record, 20));
+        const radius = firstNumber(record, 40) * pixelsPerUnit;
+        shapes.push(boxShape(
+          'ellipse',
+          { x: center.x - radius, y: center.y - radius },
+          { x: center.x + radius, y: center.y + radius },
+          props
+        ));
+        break;
+      }
+
+      case 'ELLIPSE': {
+        const center = toPoint(firstNumber(record, 10), firstNumber(record, 20));
+        const major = toPoint(firstNumber(record, 11), firstNumber(record, 21));
+        const rx = Math.hypot(major.x, major.y);
+        const ry = rx * firstNumber(record, 40, 1);
+        const rotation = normalizeAngle(Math.atan2(major.y, major.x) * 180 / Math.PI);
+        shapes.push({
+          ...boxShape(
+            'ellipse',
+            { x: center.x - rx, y: center.y - ry },
+            { x: center.x + rx, y: center.y + ry },
+            props
+          ),
+          ...(rotation > 1e-9 ? { rotation } : {})
+        });
+        break;
+      }
+
+      case 'LWPOLYLINE':
+      case 'POLYLINE': {
+        const vertices = record.type === 'LWPOLYLINE'
+          ? getPolylinePoints(record)
+          : record.vertices.map(vertex => ({
+            x: firstNumber(vertex, 10),
+            y: firstNumber(vertex, 20),
+            bulge: firstNumber(vertex, 42)
+          }));
+        const closed = (parseInt(first(record, 70), 10) & POLYLINE_CLOSED) !== 0;
+        const points = withArcPoints(vertices, closed).map(p => toPoint(p.x, p.y));
+        shapes.push(...polylineShapes(points, closed));
+        break;
+      }
+    }
+  }
+
+  return { shapes, layers: resultLayers, unsupported };
+};
@@ -0,0 +1,80 @@
+/**
+ * Ellipse geometry.
+ *
+ * An ellipse fills its box: radii are half the box's width and height, and
+ * the box can be rotated like a rectangle's. A circle is an ellipse with a
+ * square box. Drawings saved before ellipses had a `circle` shape drawn with
+ * the larger side as its diameter; circleToEllipse turns those into the
+ * ellipse that looks the same.
+ */
+import { getBoxCenter, getRotation, toShapeFrame } from './rotation';
+
+export const getEllipseRadii = (shape) => ({
+  rx: shape.width / 2,
+  ry: shape.height / 2
+});
+
+export const isCircle = (shape) => Math.abs(shape.width - shape.height) < 1e-9;
+
+export const getEllipseArea = (shape) => {
+  const { rx, ry } = getEllipseRadii(shape);
+  return Math.PI * rx * ry;
+};
+
+// Whether a point lies on or inside the ellipse outline
+export const isPointInEllipse = (point, shape) => {
+  const { rx, ry } = getEllipseRadii(shape);
+  if (!(rx > 0) || !(ry > 0)) return false;
+
+  const center = getBoxCenter(shape);
+  const local = toShapeFrame(point, shape);
+  const dx = (local.x - center.x) / rx;
+  const dy = (local.y - center.y) / ry;
+  return dx * dx + dy * dy <= 1;
+};
+
+// Axis-aligned bounds of the outline, which is tighter than the box corners once rotated
+export const getEllipseBounds = (shape) => {
+  const { rx, ry } = getEllipseRadii(shape);
+  const center = getBoxCenter(shape);
+  const angle = getRotation(shape) * Math.PI / 180;
+  const halfWidth = Math.hypot(rx * Math.cos(angle), ry * Math.sin(angle));
+  const halfHeight = Math.hypot(rx * Math.sin(angle), ry * Math.cos(angle));
+
+  return {
+    minX: center.x - halfWidth,
+    minY: center.y - halfHeight,
+    maxX: center.x + halfWidth,
+    maxY: center.y + halfHeight
+  };
+};
+
+/**
+ * End point of a drag from `start` pulled onto a square box, so the ellipse
+ * drawn between them is a circle. The longer side of the drag wins.
+ */
+export const constrainToCircle = (start, end) => {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const size = Math.max(Math.abs(dx), Math.abs(dy));
+
+  return {
+    x: start.x + (dx < 0 ? -size : size),
+    y: start.y + (dy < 0 ? -size : size)
+  };
+};
+
+// The ellipse that an old `circle` shape was drawn as: centered in its box, as wide as its larger side
+export const circleToEllipse = (shape) => {
+  const size = Math.max(shape.width, shape.height);
+  const center = getBoxCenter(shape);
+
+  return {
+    ...shape,
+    type: 'ellipse',
+    x: center.x - size / 2,
+    y: center.y - size / 2,
+    width: size,
+    height: size
+  };
+};
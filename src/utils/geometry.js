@@ -0,0 +1,143 @@
+/**
+ * Shared geometry helpers for shapes.
+ */
+
+// Calculate distance between two points
+export const distance = (p1, p2) => {
+  return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
+};
+
+// Calculate distance from point to line
+export const pointToLineDistance = (point, lineStart, lineEnd) => {
+  const A = point.x - lineStart.x;
+  const B = point.y - lineStart.y;
+  const C = lineEnd.x - lineStart.x;
+  const D = lineEnd.y - lineStart.y;
+  
+  const dot = A * C + B * D;
+  const lenSq = C * C + D * D;
+  let param = -1;
+  
+  if (lenSq !== 0) param = dot / lenSq;
+  
+  let xx, yy;
+  
+  if (param < 0) {
+    xx = lineStart.x;
+    yy = lineStart.y;
+  } else if (param > 1) {
+    xx = lineEnd.x;
+    yy = lineEnd.y;
+  } else {
+    xx = lineStart.x + param * C;
+    yy = lineStart.y + param * D;
+  }
+  
+  const dx = point.x - xx;
+  const dy = point.y - yy;
+  
+  return Math.sqrt(dx * dx + dy * dy);
+};
+
+// Return a copy of a shape moved by (dx, dy)
+export const translateShape = (shape, dx, dy) => {
+  const moved = { ...shape, x: shape.x + dx, y: shape.y + dy };
+
+  if (shape.points) {
+    moved.points = shape.points.map(p => ({ x: p.x + dx, y: p.y + dy }));
+  }
+
+  if (shape.startX !== undefined) {
+    moved.startX = shape.startX + dx;
+    moved.startY = shape.startY + dy;
+    moved.endX = shape.endX + dx;
+    moved.endY = shape.endY + dy;
+  }
+
+  return moved;
+};
+
+// Even-odd point-in-polygon test; `rings` is a list of closed point lists
+export const isPointInPolygon = (point, rings) => {
+  let inside = false;
+
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i];
+      const b = ring[j];
+      if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+  }
+
+  return inside;
+};
+
+// Drop consecutive duplicate points, which would give zero-length segments
+export const dedupePoints = (points) => {
+  return points.filter((p, i) => {
+    const prev = points[i - 1];
+    return !prev || Math.abs(prev.x - p.x) > 1e-6 || Math.abs(prev.y - p.y) > 1e-6;
+  });
+};
+
+// Segments of a polyline, including the closing one when `closed`
+export const getSegments = (points, closed = false) => {
+  const segments = [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    segments.push([points[i], points[i + 1]]);
+  }
+  if (closed && points.length > 2) {
+    segments.push([points[points.length - 1], points[0]]);
+  }
+
+  return segments;
+};
+
+// Bounding box fields kept on point-based shapes so generic shape code can use them
+export const withPointsBounds = (shape) => {
+  const xs = shape.points.map(p => p.x);
+  const ys = shape.points.map(p => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+
+  return {
+    ...shape,
+    x,
+    y,
+    width: Math.max(...xs) - x,
+    height: Math.max(...ys) - y
+  };
+};
+
+// Return a copy of a shape scaled from box `from` to box `to` (both { x, y, width, height })
+export const scaleShape = (shape, from, to) => {
+  const sx = from.width ? to.width / from.width : 1;
+  const sy = from.height ? to.height / from.height : 1;
+  const mapX = (x) => to.x + (x - from.x) * sx;
+  const mapY = (y) => to.y + (y - from.y) * sy;
+
+  const scaled = {
+    ...shape,
+    x: mapX(shape.x),
+    y: mapY(shape.y),
+    width: shape.width * Math.abs(sx),
+    height: shape.height * Math.abs(sy)
+  };
+
+  if (shape.points) {
+    scaled.points = shape.points.map(p => ({ x: mapX(p.x), y: mapY(p.y) }));
+  }
+
+  if (shape.startX !== undefined) {
+    scaled.startX = mapX(shape.startX);
+    scaled.startY = mapY(shape.startY);
+    scaled.endX = mapX(shape.endX);
+    scaled.endY = mapY(shape.endY);
+  }
+
+  return scaled;
+};
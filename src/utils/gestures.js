@@ -0,0 +1,54 @@
+/**
+ * Touch and pen gestures on the canvas.
+ *
+ * The canvas takes Pointer Events, so a mouse, a pen and a finger all go
+ * through the same handlers. Two fingers on the canvas pinch-zoom and pan
+ * the view: the world point under the middle of the fingers when they
+ * landed stays under their middle, and the zoom follows the spread of the
+ * fingers. Holding a finger or pen still for LONG_PRESS_DELAY stands in for
+ * a right-click or a held Shift key, which touch screens don't have.
+ *
+ * Fingers are less precise than a mouse, so handles are easier to hit with
+ * them; see getHandleHitSize. All distances here are in screen pixels.
+ */
+import { distance } from './geometry';
+import { zoomAt } from './viewport';
+
+export const LONG_PRESS_DELAY = 500;
+
+// How far a pointer can wander before a press stops counting as a long press
+export const LONG_PRESS_TOLERANCE = 8;
+
+// Half the side of the square around a handle that grabs it, by pointer type
+export const HANDLE_HIT_SIZES = {
+  mouse: 10,
+  pen: 14,
+  touch: 22
+};
+
+export const getHandleHitSize = (pointerType) => HANDLE_HIT_SIZES[pointerType] || HANDLE_HIT_SIZES.mouse;
+
+// Middle of two pointers and the distance between them
+export const getPinch = (a, b) => ({
+  center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+  distance: distance(a, b)
+});
+
+/**
+ * Viewport for a pinch that started as `start` on `viewport` and is now
+ * `current`, both from getPinch. The zoom is kept within the viewport's
+ * limits.
+ */
+export const applyPinch = (viewport, start, current) => {
+  const factor = start.distance > 0 ? current.distance / start.distance : 1;
+  const zoomed = zoomAt(viewport, start.center, factor);
+
+  return {
+    ...zoomed,
+    x: zoomed.x + current.center.x - start.center.x,
+    y: zoomed.y + current.center.y - start.center.y
+  };
+};
+
+// Whether a pointer has moved too far from where it was pressed to be a long press
+export const isBeyondLongPress = (start, point) => distance(start, point) > LONG_PRESS_TOLERANCE;
@@ -0,0 +1,247 @@
+/**
+ * Fields of the properties inspector.
+ *
+ * Each shape type lists the values that can be typed in for it. A field is
+ * `{ key, label, kind, positive }`: `kind` is 'length' (world pixels, typed
+ * in the drawing's units), 'angle' (degrees), 'number' (a plain number such
+ * as a font size in pixels) or 'text'. Numeric fields accept arithmetic,
+ * e.g. "200+45" or "3.5m - 20cm"; `positive` ones must come out above zero.
+ *
+ * Values are read with getFieldValue and written back with setFieldValue,
+ * which returns the updated shape; whatever else depends on the value (a
+ * line's bounds, a text's box) is kept in step. To inspect a new property,
+ * add a field to INSPECTOR_FIELDS and its case to both functions.
+ */
+import { distance, translateShape } from './geometry';
+import { formatLength, metersToPixels, evaluateLength, evaluateAngle, evaluateNumber } from './units';
+import {
+  getRotation,
+  getBoxCenter,
+  getBoxCorners,
+  normalizeAngle,
+  rotatePoint,
+  resizeRotatedBox
+} from './rotation';
+import { isCircle } from './ellipses';
+import { getTextAnchor, updateText } from './text';
+
+const ROTATION = { key: 'rotation', label: 'Rotation', kind: 'angle' };
+
+export const INSPECTOR_FIELDS = {
+  rectangle: [
+    { key: 'x', label: 'X', kind: 'length' },
+    { key: 'y', label: 'Y', kind: 'length' },
+    { key: 'width', label: 'Width', kind: 'length', positive: true },
+    { key: 'height', label: 'Height', kind: 'length', positive: true },
+    ROTATION
+  ],
+  ellipse: [
+    { key: 'centerX', label: 'Center X', kind: 'length' },
+    { key: 'centerY', label: 'Center Y', kind: 'length' },
+    { key: 'radiusX', label: 'Radius X', kind: 'length', positive: true },
+    { key: 'radiusY', label: 'Radius Y', kind: 'length', positive: true },
+    ROTATION
+  ],
+  line: [
+    { key: 'startX', label: 'Start X', kind: 'length' },
+    { key: 'startY', label: 'Start Y', kind: 'length' },
+    { key: 'endX', label: 'End X', kind: 'length' },
+    { key: 'endY', label: 'End Y', kind: 'length' },
+    { key: 'length', label: 'Length', kind: 'length', positive: true },
+    { key: 'angle', label: 'Angle', kind: 'angle' }
+  ],
+  text: [
+    { key: 'text', label: 'Text', kind: 'text' },
+    { key: 'anchorX', label: 'X', kind: 'length' },
+    { key: 'anchorY', label: 'Y', kind: 'length' },
+    { key: 'fontSize', label: 'Size (px)', kind: 'number', positive: true },
+    ROTATION
+  ],
+  wall: [
+    { key: 'thickness', label: 'Thickness', kind: 'length', positive: true }
+  ],
+  polygon: [
+    { key: 'name', label: 'Name', kind: 'text' }
+  ],
+  dimension: [
+    { key: 'offset', label: 'Offset', kind: 'length' }
+  ],
+  door: [
+    { key: 'width', label: 'Width', kind: 'length', positive: true }
+  ],
+  window: [
+    { key: 'width', label: 'Width', kind: 'length', positive: true }
+  ]
+};
+
+// Circles have one radius instead of two
+const CIRCLE_FIELDS = [
+  { key: 'centerX', label: 'Center X', kind: 'length' },
+  { key: 'centerY', label: 'Center Y', kind: 'length' },
+  { key: 'radius', label: 'Radius', kind: 'length', positive: true },
+  ROTATION
+];
+
+// Shapes that can have a fill color of their own
+export const FILLED_TYPES = ['rectangle', 'ellipse', 'polygon'];
+
+export const getInspectorFields = (shape) => {
+  if (!shape) return [];
+  if (shape.type === 'ellipse' && isCircle(shape)) return CIRCLE_FIELDS;
+  return INSPECTOR_FIELDS[shape.type] || [];
+};
+
+const getLineAngle = (shape) => Math.atan2(shape.endY - shape.startY, shape.endX - shape.startX) * 180 / Math.PI;
+
+const getLineLength = (shape) => distance({ x: shape.startX, y: shape.startY }, { x: shape.endX, y: shape.endY });
+
+// A line with its box brought in line with its ends
+const withLineBounds = (shape) => ({
+  ...shape,
+  x: Math.min(shape.startX, shape.endX),
+  y: Math.min(shape.startY, shape.endY),
+  width: Math.abs(shape.endX - shape.startX),
+  height: Math.abs(shape.endY - shape.startY)
+});
+
+// A line from its start, `length` long at `angle` degrees
+const setLineVector = (shape, length, angle) => {
+  const radians = angle * Math.PI / 180;
+  return withLineBounds({
+    ...shape,
+    endX: shape.startX + length * Math.cos(radians),
+    endY: shape.startY + length * Math.sin(radians)
+  });
+};
+
+// A box shape resized with its top-left corner staying where it is drawn
+const resizeFromCorner = (shape, width, height) => {
+  const corner = getBoxCorners(shape)[0];
+  const far = rotatePoint({ x: corner.x + width, y: corner.y + height }, corner, getRotation(shape));
+  return resizeRotatedBox(shape, 'bottom-right', far, 0);
+};
+
+// A box shape resized about its center
+const resizeFromCenter = (shape, width, height) => {
+  const center = getBoxCenter(shape);
+  return { ...shape, x: center.x - width / 2, y: center.y - height / 2, width, height };
+};
+
+// Current value of a field: world pixels for lengths, degrees for angles
+export const getFieldValue = (shape, key) => {
+  switch (key) {
+    case 'centerX':
+      return getBoxCenter(shape).x;
+    case 'centerY':
+      return getBoxCenter(shape).y;
+    case 'radius':
+    case 'radiusX':
+      return shape.width / 2;
+    case 'radiusY':
+      return shape.height / 2;
+    case 'rotation':
+      return getRotation(shape);
+    case 'length':
+      return getLineLength(shape);
+    case 'angle':
+      return getLineAngle(shape);
+    case 'anchorX':
+      return getTextAnchor(shape).x;
+    case 'anchorY':
+      return getTextAnchor(shape).y;
+    case 'offset':
+      return shape.offset || 0;
+    default:
+      return shape[key];
+  }
+};
+
+// Copy of a shape with a field set to `value`, in the units of getFieldValue
+export const setFieldValue = (shape, key, value) => {
+  switch (key) {
+    case 'x':
+      return translateShape(shape, value - shape.x, 0);
+    case 'y':
+      return translateShape(shape, 0, value - shape.y);
+    case 'width':
+      if (shape.type === 'rectangle') return resizeFromCorner(shape, value, shape.height);
+      return { ...shape, width: value };
+    case 'height':
+      return resizeFromCorner(shape, shape.width, value);
+    case 'centerX':
+      return translateShape(shape, value - getBoxCenter(shape).x, 0);
+    case 'centerY':
+      return translateShape(shape, 0, value - getBoxCenter(shape).y);
+    case 'radius':
+      return resizeFromCenter(shape, value * 2, value * 2);
+    case 'radiusX':
+      return resizeFromCenter(shape, value * 2, shape.height);
+    case 'radiusY':
+      return resizeFromCenter(shape, shape.width, value * 2);
+    case 'rotation':
+      return { ...shape, rotation: normalizeAngle(value) };
+    case 'startX':
+    case 'startY':
+    case 'endX':
+    case 'endY':
+      return withLineBounds({ ...shape, [key]: value });
+    case 'length':
+      return setLineVector(shape, value, getLineAngle(shape));
+    case 'angle':
+      return setLineVector(shape, getLineLength(shape), value);
+    case 'anchorX':
+      return translateShape(shape, value - getTextAnchor(shape).x, 0);
+    case 'anchorY':
+      return translateShape(shape, 0, value - getTextAnchor(shape).y);
+    case 'text':
+    case 'fontSize':
+      return updateText(shape, { [key]: value });
+    default:
+      return { ...shape, [key]: value };
+  }
+};
+
+// A field's value as it is shown for editing
+export const formatFieldValue = (shape, field, scale) => {
+  const value = getFieldValue(shape, field.key);
+  switch (field.kind) {
+    case 'length':
+      return formatLength(value, scale);
+    case 'angle':
+      return `${Number(value.toFixed(1))}°`;
+    case 'number':
+      return String(Number(value.toFixed(2)));
+    default:
+      return value ?? '';
+  }
+};
+
+const FIELD_ERRORS = {
+  length: 'Not a length, e.g. 3.5m, 12\'6" or 200+45',
+  angle: 'Not an angle, e.g. 45 or 90-12.5',
+  number: 'Not a number, e.g. 16 or 12*1.5'
+};
+
+/**
+ * Read what was typed into a field: `{ value }` in the units of
+ * getFieldValue, or `{ error }` with a message to flag the field with.
+ */
+export const parseFieldValue = (field, text, scale) => {
+  if (field.kind === 'text') {
+    const value = String(text).trim();
+    return value ? { value } : { error: 'Can\'t be empty' };
+  }
+
+  let value = NaN;
+  if (field.kind === 'length') {
+    value = metersToPixels(evaluateLength(text, scale.unit), scale);
+  } else if (field.kind === 'angle') {
+    value = evaluateAngle(text);
+  } else {
+    value = evaluateNumber(text);
+  }
+
+  if (Number.isNaN(value)) return { error: FIELD_ERRORS[field.kind] };
+  if (field.positive && !(value > 0)) return { error: 'Must be more than zero' };
+  return { value };
+};
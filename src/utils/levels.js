@@ -0,0 +1,81 @@
+/**
+ * Floor levels of a multi-storey project.
+ *
+ * A project is `{ id, name, levels, scale, layers }`. `levels` is ordered as
+ * it is shown in the level switcher, top floor first, so the level below a
+ * level is the next one in the list. Each level is `{ id, name, height,
+ * shapes }`, where `height` is the floor-to-floor height in meters. Scale and
+ * layers are shared by all levels of a project.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { prepareShapesForPaste } from './clipboard';
+import { moveLayer } from './layers';
+
+// Floor-to-floor height of a new level, in meters
+export const DEFAULT_LEVEL_HEIGHT = 3;
+
+// Opacity of the level below, drawn under the active level as a guide
+export const UNDERLAY_OPACITY = 0.3;
+
+// Name of the only level of a new project or of an older single drawing
+const FIRST_LEVEL_NAME = 'Ground Floor';
+
+const nextLevelName = (levels) => {
+  let number = levels.length + 1;
+  while (levels.some(level => level.name === `Level ${number}`)) {
+    number++;
+  }
+  return `Level ${number}`;
+};
+
+// A new, empty level with the next free "Level N" name
+export const createLevel = (levels, { name = nextLevelName(levels), height = DEFAULT_LEVEL_HEIGHT } = {}) => ({
+  id: uuidv4(),
+  name,
+  height,
+  shapes: []
+});
+
+// Levels from a saved project, filling in missing fields; never empty
+export const normalizeLevels = (levels) => {
+  if (!Array.isArray(levels) || levels.length === 0) {
+    return [createLevel([], { name: FIRST_LEVEL_NAME })];
+  }
+  return levels.map(level => ({
+    height: DEFAULT_LEVEL_HEIGHT,
+    shapes: [],
+    ...level
+  }));
+};
+
+/**
+ * A copy of a level with the same shapes under new ids, so doors, windows
+ * and groups on the copy refer to the copy's own shapes.
+ */
+export const duplicateLevel = (level, levels) => {
+  let name = `${level.name} copy`;
+  for (let number = 2; levels.some(l => l.name === name); number++) {
+    name = `${level.name} copy ${number}`;
+  }
+
+  return {
+    ...level,
+    id: uuidv4(),
+    name,
+    shapes: prepareShapesForPaste({ pixelsPerMeter: null, shapes: level.shapes }, { offset: 0 })
+  };
+};
+
+// Levels reorder the same way layers do: one place up (-1) or down (+1)
+export const moveLevel = moveLayer;
+
+export const getLevelBelow = (levels, id) => {
+  const index = levels.findIndex(level => level.id === id);
+  return index === -1 ? null : levels[index + 1] || null;
+};
+
+// A drawing saved before projects existed, as a project with a single level
+export const drawingToProject = ({ shapes, ...drawing }) => ({
+  ...drawing,
+  levels: [{ ...createLevel([], { name: FIRST_LEVEL_NAME }), shapes: shapes || [] }]
+});
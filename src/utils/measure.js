@@ -0,0 +1,75 @@
+/**
+ * Ad-hoc measurements taken with the measure tool.
+ *
+ * A measurement is a chain of world points that is shown over the drawing
+ * but never becomes part of it. One segment gives a distance and an angle,
+ * a longer chain its total length, and a closed chain the area it encloses
+ * and its perimeter. Angles are in degrees from the positive x axis,
+ * clockwise on screen like the status bar's line angle.
+ *
+ * A measurement can be pinned to the drawing as a text note holding its
+ * values; see createMeasurementNote.
+ */
+import { distance, getSegments } from './geometry';
+import { MIN_POLYGON_POINTS, getPolygonArea, getVisualCenter } from './polygons';
+import { formatLength, formatArea } from './units';
+import { createText } from './text';
+
+export const MEASURE_COLOR = '#d81b60';
+
+// Angle of the segment from a to b, in (-180, 180]
+const getAngle = (a, b) => Number((Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI).toFixed(1));
+
+/**
+ * Values of a measurement through `points`: `{ points, closed, length,
+ * angle, area }`. `angle` is that of the last segment placed, or null before
+ * there is one; `area` is null unless the chain is closed, which takes at
+ * least three points.
+ */
+export const getMeasurement = (points, closed = false) => {
+  const isClosed = closed && points.length >= MIN_POLYGON_POINTS;
+  const length = getSegments(points, isClosed).reduce((total, [a, b]) => total + distance(a, b), 0);
+  const last = points.length - 1;
+
+  return {
+    points,
+    closed: isClosed,
+    length,
+    angle: last >= 1 ? getAngle(points[last - 1], points[last]) : null,
+    area: isClosed ? getPolygonArea(points) : null
+  };
+};
+
+// Lines of text describing a measurement in the drawing's units
+export const formatMeasurement = (measurement, scale) => {
+  const { points, closed, length, angle, area } = measurement;
+
+  if (closed) {
+    return [`Area: ${formatArea(area, scale)}`, `Perimeter: ${formatLength(length, scale)}`];
+  }
+  if (points.length > 2) {
+    return [`Total: ${formatLength(length, scale)}`, `Segments: ${points.length - 1}`];
+  }
+  return [formatLength(length, scale), `Angle: ${angle ?? 0}°`];
+};
+
+// Where a measurement's values are shown: inside a closed chain, at the middle of a single segment, otherwise at its end
+export const getMeasurementLabelPoint = (measurement) => {
+  const { points, closed } = measurement;
+
+  if (closed) return getVisualCenter(points);
+  if (points.length === 2) {
+    return { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+  }
+  return points[points.length - 1];
+};
+
+/**
+ * A text shape holding a measurement's values, placed where they are shown.
+ * `settings` and `props` are as for createText.
+ */
+export const createMeasurementNote = (measurement, scale, settings, props = {}) => {
+  const text = formatMeasurement(measurement, scale).join(', ');
+  const align = measurement.closed ? 'center' : settings.align;
+  return createText(getMeasurementLabelPoint(measurement), text, { ...settings, align }, props);
+};
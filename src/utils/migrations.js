@@ -0,0 +1,72 @@
+/**
+ * Schema versions of stored drawings and the migrations between them.
+ *
+ * Project records, and revisions which hold the same fields, are stamped
+ * with the `schemaVersion` they were saved with; records without one are
+ * version 0. Each migration in the registry upgrades a record from the
+ * version before it to its own. They run in order when an older record is
+ * loaded, imported or met during a database upgrade, so the rest of the app
+ * only ever sees the current schema.
+ *
+ * To change the stored format, append a migration with the next version,
+ * and raise DB_VERSION in services/DatabaseService so that stored records
+ * are migrated when the database is next opened. Migrations get a plain
+ * record and return a new one; they must not mutate their input.
+ */
+import { drawingToProject, normalizeLevels } from './levels';
+import { circleToEllipse } from './ellipses';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Drawings become projects with levels',
+    migrate: (record) => {
+      if (!Array.isArray(record.levels)) return drawingToProject(record);
+      return { ...record, levels: normalizeLevels(record.levels) };
+    }
+  },
+  {
+    version: 2,
+    description: 'Circles become ellipses',
+    migrate: (record) => ({
+      ...record,
+      levels: record.levels.map(level => ({
+        ...level,
+        shapes: level.shapes.map(shape => (shape.type === 'circle' ? circleToEllipse(shape) : shape))
+      }))
+    })
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export const getSchemaVersion = (record) => {
+  return Number.isInteger(record?.schemaVersion) ? record.schemaVersion : 0;
+};
+
+// Saved by a newer version of the app than this one
+export const isNewerSchema = (record) => getSchemaVersion(record) > SCHEMA_VERSION;
+
+export const needsMigration = (record) => getSchemaVersion(record) < SCHEMA_VERSION;
+
+/**
+ * The record upgraded to the latest schema in `migrations` and stamped with
+ * it. Records already up to date are returned as they are. Throws an Error
+ * for records saved with a newer schema, which can't be read safely.
+ */
+export const migrateRecord = (record, migrations = MIGRATIONS) => {
+  const version = getSchemaVersion(record);
+  const latest = migrations[migrations.length - 1].version;
+
+  if (version > latest) {
+    const name = record.name ? `"${record.name}"` : 'This drawing';
+    throw new Error(
+      `${name} was saved by a newer version of Building Planner (schema ${version}); ` +
+      `this version reads up to schema ${latest}. Update the app to open it.`
+    );
+  }
+
+  return migrations
+    .filter(migration => migration.version > version)
+    .reduce((upgraded, migration) => ({ ...migration.migrate(upgraded), schemaVersion: migration.version }), record);
+};
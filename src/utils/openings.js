@@ -0,0 +1,227 @@
+/**
+ * Geometry for door and window openings.
+ *
+ * An opening sits on one segment of a host line or wall: `hostId` names the
+ * host, `segment` is the index of the segment along the host's path and
+ * `position` is where the opening's center falls on that segment, from 0 at
+ * its start to 1 at its end. Because the position is relative, an opening
+ * follows its host when the host is moved or reshaped.
+ *
+ * Doors also have a `hinge` ('start' or 'end', the jamb nearer the segment's
+ * start or end) and a `side` ('left' or 'right' of the segment direction)
+ * that the leaf swings towards.
+ */
+import { distance } from './geometry';
+import { getWallOffsets, getWallSegments } from './walls';
+
+export const OPENING_TYPES = ['door', 'window'];
+export const DOOR_HINGES = ['start', 'end'];
+export const DOOR_SIDES = ['left', 'right'];
+
+export const DEFAULT_OPENING = {
+  width: 45,
+  hinge: 'start',
+  side: 'left'
+};
+
+// Narrowest opening allowed when resizing
+export const MIN_OPENING_WIDTH = 5;
+
+// Depth of the cut made in a plain line, which has no thickness of its own
+const LINE_OPENING_DEPTH = 6;
+
+export const isOpening = (shape) => OPENING_TYPES.includes(shape?.type);
+
+export const canHostOpenings = (shape) => shape.type === 'wall' || shape.type === 'line';
+
+// Segments of a host's path that openings can sit on
+export const getHostSegments = (host) => {
+  if (host.type === 'line') {
+    return [[{ x: host.startX, y: host.startY }, { x: host.endX, y: host.endY }]];
+  }
+  return getWallSegments(host);
+};
+
+// Project a point onto segment a-b; `position` is 0 at a and 1 at b
+const projectOntoSegment = (point, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0
+    ? 0
+    : Math.min(1, Math.max(0, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq));
+
+  return { position: t, point: { x: a.x + dx * t, y: a.y + dy * t } };
+};
+
+/**
+ * Host segment nearest to a point, within `tolerance` of its drawn path
+ * (walls also count their thickness). Returns
+ * `{ hostId, segment, position, distance }`, or null when nothing is close.
+ */
+export const findOpeningHost = (point, shapes, tolerance = Infinity) => {
+  let best = null;
+
+  for (const shape of shapes) {
+    if (!canHostOpenings(shape)) continue;
+
+    const reach = tolerance + (shape.thickness || 0);
+    getHostSegments(shape).forEach(([a, b], segment) => {
+      const projection = projectOntoSegment(point, a, b);
+      const d = distance(point, projection.point);
+      if (d <= reach && (!best || d < best.distance)) {
+        best = { hostId: shape.id, segment, position: projection.position, distance: d };
+      }
+    });
+  }
+
+  return best;
+};
+
+/**
+ * Where an opening sits in the world, or null if its host segment is gone.
+ * `start` and `end` are the jambs on the host's path, `direction` runs from
+ * start to end, `normal` is its left-hand normal and `faces` are the signed
+ * offsets of the host's two faces along that normal. Openings wider than
+ * their segment are narrowed to fit, and kept clear of the segment ends.
+ */
+export const getOpeningGeometry = (opening, host) => {
+  if (!host) return null;
+
+  const segments = getHostSegments(host);
+  const segment = segments[Math.min(opening.segment, segments.length - 1)];
+  if (!segment) return null;
+
+  const [a, b] = segment;
+  const length = distance(a, b);
+  if (length === 0) return null;
+
+  const direction = { x: (b.x - a.x) / length, y: (b.y - a.y) / length };
+  const normal = { x: direction.y, y: -direction.x };
+  const width = Math.min(opening.width, length);
+  const along = Math.min(length - width / 2, Math.max(width / 2, opening.position * length));
+  const pointAt = (offset) => ({
+    x: a.x + direction.x * offset,
+    y: a.y + direction.y * offset
+  });
+
+  return {
+    start: pointAt(along - width / 2),
+    end: pointAt(along + width / 2),
+    center: pointAt(along),
+    direction,
+    normal,
+    width,
+    faces: host.type === 'wall'
+      ? getWallOffsets(host.thickness, host.alignment)
+      : [LINE_OPENING_DEPTH / 2, -LINE_OPENING_DEPTH / 2]
+  };
+};
+
+const offsetPoint = (point, normal, offset) => ({
+  x: point.x + normal.x * offset,
+  y: point.y + normal.y * offset
+});
+
+// Rectangle an opening cuts out of its host
+export const getOpeningOutline = (geometry) => {
+  const { start, end, normal, faces: [faceA, faceB] } = geometry;
+  return [
+    offsetPoint(start, normal, faceA),
+    offsetPoint(end, normal, faceA),
+    offsetPoint(end, normal, faceB),
+    offsetPoint(start, normal, faceB)
+  ];
+};
+
+/**
+ * Leaf and swing arc of a door. The leaf is drawn open at 90°, from the hinge
+ * on the face of the swing side; the arc runs from the tip of the leaf back
+ * to the opposite jamb. Angles are ready for `CanvasRenderingContext2D.arc`.
+ */
+export const getDoorSwing = (door, geometry) => {
+  const { start, end, normal, width, faces: [faceA, faceB] } = geometry;
+  const sign = door.side === 'right' ? -1 : 1;
+  const face = door.side === 'right' ? faceB : faceA;
+
+  const hinge = offsetPoint(door.hinge === 'end' ? end : start, normal, face);
+  const jamb = offsetPoint(door.hinge === 'end' ? start : end, normal, face);
+  const leafEnd = offsetPoint(hinge, normal, sign * width);
+
+  const startAngle = Math.atan2(leafEnd.y - hinge.y, leafEnd.x - hinge.x);
+  const endAngle = Math.atan2(jamb.y - hinge.y, jamb.x - hinge.x);
+  // Sweep the quarter turn between leaf and jamb, not the long way round
+  const sweep = Math.atan2(Math.sin(endAngle - startAngle), Math.cos(endAngle - startAngle));
+
+  return {
+    hinge,
+    leafEnd,
+    jamb,
+    radius: width,
+    startAngle,
+    endAngle,
+    anticlockwise: sweep < 0
+  };
+};
+
+/**
+ * Lines making up an opening's plan symbol, plus the swing arc for doors
+ * (null for windows): jambs across the host at each end, then a door leaf
+ * or the sill faces and a double line for the glass.
+ */
+export const getOpeningSymbol = (opening, geometry) => {
+  const [startA, endA, endB, startB] = getOpeningOutline(geometry);
+  const lines = [[startA, startB], [endA, endB]];
+
+  if (opening.type === 'door') {
+    const swing = getDoorSwing(opening, geometry);
+    lines.push([swing.hinge, swing.leafEnd]);
+    return { lines, swing };
+  }
+
+  lines.push([startA, endA], [startB, endB]);
+  const { normal, faces: [faceA, faceB] } = geometry;
+  const middle = (faceA + faceB) / 2;
+  const gap = Math.abs(faceA - faceB) / 6;
+  for (const offset of [middle - gap, middle + gap]) {
+    lines.push([offsetPoint(geometry.start, normal, offset), offsetPoint(geometry.end, normal, offset)]);
+  }
+  return { lines, swing: null };
+};
+
+/**
+ * Resize an opening by dragging one jamb along its host; the other jamb stays
+ * put. `handle` is 'start' or 'end'.
+ */
+export const resizeOpening = (opening, host, handle, point) => {
+  const geometry = getOpeningGeometry(opening, host);
+  if (!geometry) return opening;
+
+  const segments = getHostSegments(host);
+  const [a, b] = segments[Math.min(opening.segment, segments.length - 1)];
+  const length = distance(a, b);
+  const along = projectOntoSegment(point, a, b).position * length;
+  const startAlong = distance(a, geometry.start);
+  const endAlong = distance(a, geometry.end);
+
+  const [from, to] = handle === 'start'
+    ? [Math.min(along, endAlong - MIN_OPENING_WIDTH), endAlong]
+    : [startAlong, Math.max(along, startAlong + MIN_OPENING_WIDTH)];
+
+  return { ...opening, width: to - from, position: (from + to) / 2 / length };
+};
+
+/**
+ * Re-seat an opening after its host gained or lost vertices, which shifts
+ * segment indices: the opening moves to the point on the new path nearest
+ * to where it was.
+ */
+export const reattachOpening = (opening, oldHost, newHost) => {
+  const geometry = getOpeningGeometry(opening, oldHost);
+  if (!geometry) return opening;
+
+  const target = findOpeningHost(geometry.center, [newHost]);
+  if (!target) return opening;
+
+  return { ...opening, segment: target.segment, position: target.position };
+};
@@ -0,0 +1,91 @@
+/**
+ * Geometry for `polygon` room shapes: area, perimeter and label placement.
+ *
+ * A polygon is a closed ring of `points` with an optional room `name`.
+ */
+import { distance, getSegments, isPointInPolygon, pointToLineDistance } from './geometry';
+
+export const MIN_POLYGON_POINTS = 3;
+
+// Shoelace area (always positive)
+export const getPolygonArea = (points) => {
+  let sum = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    sum += (points[j].x + points[i].x) * (points[j].y - points[i].y);
+  }
+  return Math.abs(sum) / 2;
+};
+
+export const getPolygonPerimeter = (points) => {
+  return getSegments(points, true).reduce((total, [a, b]) => total + distance(a, b), 0);
+};
+
+// Distance from a point to the outline, negative outside the polygon
+const signedDistance = (point, points) => {
+  const edgeDistance = Math.min(
+    ...getSegments(points, true).map(([a, b]) => pointToLineDistance(point, a, b))
+  );
+  return isPointInPolygon(point, [points]) ? edgeDistance : -edgeDistance;
+};
+
+const makeCell = (x, y, h, points) => {
+  const d = signedDistance({ x, y }, points);
+  return { x, y, h, d, max: d + h * Math.SQRT2 };
+};
+
+/**
+ * Visual center of a polygon: the interior point furthest from the outline,
+ * so labels sit inside L-shaped and concave rooms where the centroid might
+ * not. Uses the "pole of inaccessibility" grid search (polylabel).
+ */
+export const getVisualCenter = (points) => {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+  const cellSize = Math.min(width, height);
+
+  if (cellSize === 0) return { x: minX + width / 2, y: minY + height / 2 };
+
+  const precision = Math.max(width, height) / 100;
+  const queue = [];
+  // Keep the queue sorted by potential so the most promising cell is last
+  const push = (cell) => {
+    let low = 0;
+    let high = queue.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (queue[mid].max < cell.max) low = mid + 1;
+      else high = mid;
+    }
+    queue.splice(low, 0, cell);
+  };
+
+  const h = cellSize / 2;
+  for (let x = minX; x < minX + width; x += cellSize) {
+    for (let y = minY; y < minY + height; y += cellSize) {
+      push(makeCell(x + h, y + h, h, points));
+    }
+  }
+
+  let best = makeCell(minX + width / 2, minY + height / 2, 0, points);
+
+  while (queue.length) {
+    const cell = queue.pop();
+
+    if (cell.d > best.d) best = cell;
+
+    // Stop splitting cells that can't beat the best by more than the precision
+    if (cell.max - best.d <= precision) continue;
+
+    const half = cell.h / 2;
+    push(makeCell(cell.x - half, cell.y - half, half, points));
+    push(makeCell(cell.x + half, cell.y - half, half, points));
+    push(makeCell(cell.x - half, cell.y + half, half, points));
+    push(makeCell(cell.x + half, cell.y + half, half, points));
+  }
+
+  return { x: best.x, y: best.y };
+};
@@ -0,0 +1,120 @@
+/**
+ * Revisions of saved drawings.
+ *
+ * Every save adds an immutable revision: a snapshot of the whole project
+ * record (levels, scale, layers, ...) with the time it was saved and an
+ * optional note. Revisions refer to their project by `projectId`. Older
+ * revisions are pruned by a retention policy so storage doesn't grow
+ * without bound.
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+// Keep the newest `keep` revisions of each drawing and none older than
+// `maxAgeDays`; null turns a limit off. The newest revision is always kept.
+export const DEFAULT_RETENTION = { keep: 20, maxAgeDays: 90 };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SHAPE_NAMES = {
+  line: 'Line',
+  rectangle: 'Rectangle',
+  ellipse: 'Ellipse',
+  wall: 'Wall',
+  polygon: 'Room',
+  door: 'Door',
+  window: 'Window',
+  dimension: 'Dimension',
+  text: 'Text'
+};
+
+// A revision holding a snapshot of a saved project record
+export const createRevision = (project, note = '') => {
+  const { id, created, lastModified, ...content } = project;
+  return {
+    ...JSON.parse(JSON.stringify(content)),
+    id: uuidv4(),
+    projectId: id,
+    created: lastModified || new Date().toISOString(),
+    note: note.trim()
+  };
+};
+
+// The project fields stored in a revision, ready to be saved as a project
+export const getRevisionContent = (revision) => {
+  const { id, projectId, created, note, ...content } = revision;
+  return content;
+};
+
+// Short description of a shape for change lists, e.g. "Room Kitchen"
+export const describeShape = (shape) => {
+  const type = SHAPE_NAMES[shape.type] || shape.type;
+  return shape.name ? `${type} ${shape.name}` : type;
+};
+
+// Every shape of a project's levels by id, with the name of its level
+const shapesById = (levels = []) => {
+  const shapes = new Map();
+  for (const level of levels) {
+    for (const shape of level.shapes || []) {
+      shapes.set(shape.id, { shape, level: level.name });
+    }
+  }
+  return shapes;
+};
+
+// Whether two stored values are the same, whatever order their fields are in.
+// A field set to undefined counts as missing, as it would be once stored.
+const isSameValue = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => isSameValue(item, b[index]));
+  }
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => isSameValue(a[key], b[key]));
+};
+
+/**
+ * Shapes that changed between two versions of a project's levels, matched
+ * by id. Returns `{ added, removed, modified }`, each a list of
+ * `{ shape, level }` with the shape as it is in the version it exists in
+ * (`to` for added and modified, `from` for removed). A shape moved to
+ * another level counts as modified.
+ */
+export const diffLevels = (fromLevels, toLevels) => {
+  const from = shapesById(fromLevels);
+  const to = shapesById(toLevels);
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  for (const [id, entry] of to) {
+    const old = from.get(id);
+    if (!old) {
+      added.push(entry);
+    } else if (old.level !== entry.level || !isSameValue(old.shape, entry.shape)) {
+      modified.push(entry);
+    }
+  }
+  for (const [id, entry] of from) {
+    if (!to.has(id)) removed.push(entry);
+  }
+
+  return { added, removed, modified };
+};
+
+/**
+ * Revisions of one drawing that the retention policy drops, given all of
+ * its revisions in any order.
+ */
+export const getRevisionsToPrune = (revisions, retention = DEFAULT_RETENTION, now = Date.now()) => {
+  const { keep, maxAgeDays } = { ...DEFAULT_RETENTION, ...retention };
+  const newestFirst = [...revisions].sort((a, b) => new Date(b.created) - new Date(a.created));
+
+  return newestFirst.filter((revision, index) => {
+    if (index === 0) return false;
+    if (keep != null && index >= keep) return true;
+    return maxAgeDays != null && now - new Date(revision.created) > maxAgeDays * DAY;
+  });
+};
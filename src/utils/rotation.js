@@ -0,0 +1,114 @@
+/**
+ * Rotation of box shapes.
+ *
+ * A rotatable shape keeps its unrotated box in `x`, `y`, `width` and
+ * `height` and turns about the box center by `rotation` degrees, clockwise
+ * on screen (y points down). A missing rotation means 0. Hit tests and
+ * resizing work in the shape's own frame by turning points back by the
+ * rotation first.
+ */
+
+export const ROTATABLE_TYPES = ['rectangle', 'ellipse', 'text'];
+
+// Shift-drag on the rotation handle snaps to multiples of this, in degrees
+export const ROTATION_SNAP = 15;
+
+// Names of box corners in drawing order, matching getBoxCorners
+export const BOX_HANDLES = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+export const isRotatable = (shape) => ROTATABLE_TYPES.includes(shape?.type);
+
+export const getRotation = (shape) => shape.rotation || 0;
+
+// Angle in degrees, brought into [0, 360)
+export const normalizeAngle = (degrees) => ((degrees % 360) + 360) % 360;
+
+export const getBoxCenter = (shape) => ({
+  x: shape.x + shape.width / 2,
+  y: shape.y + shape.height / 2
+});
+
+// Turn a point about a center by `degrees`
+export const rotatePoint = (point, center, degrees) => {
+  if (!degrees) return { x: point.x, y: point.y };
+
+  const angle = degrees * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+
+  return {
+    x: center.x + dx * cos - dy * sin,
+    y: center.y + dx * sin + dy * cos
+  };
+};
+
+// A world point in the shape's unrotated frame, for hit tests against its box
+export const toShapeFrame = (point, shape) => {
+  return rotatePoint(point, getBoxCenter(shape), -getRotation(shape));
+};
+
+// A point given in the shape's unrotated frame, turned into the world
+export const fromShapeFrame = (point, shape) => {
+  return rotatePoint(point, getBoxCenter(shape), getRotation(shape));
+};
+
+// Corners of a box shape as drawn, in the order of BOX_HANDLES
+export const getBoxCorners = (shape) => {
+  return [
+    { x: shape.x, y: shape.y },
+    { x: shape.x + shape.width, y: shape.y },
+    { x: shape.x + shape.width, y: shape.y + shape.height },
+    { x: shape.x, y: shape.y + shape.height }
+  ].map(corner => fromShapeFrame(corner, shape));
+};
+
+// Where the rotation handle sits: `offset` world units above the middle of the top edge
+export const getRotationHandle = (shape, offset) => {
+  return fromShapeFrame({ x: shape.x + shape.width / 2, y: shape.y - offset }, shape);
+};
+
+/**
+ * Rotation that points the top of a shape at `point`, in [0, 360). With
+ * `snap`, it is rounded to the nearest multiple of ROTATION_SNAP.
+ */
+export const getRotationTowards = (shape, point, snap = false) => {
+  const center = getBoxCenter(shape);
+  // The handle is straight up at rotation 0, so measure from there
+  const degrees = Math.atan2(point.y - center.y, point.x - center.x) * 180 / Math.PI + 90;
+  return normalizeAngle(snap ? Math.round(degrees / ROTATION_SNAP) * ROTATION_SNAP : degrees);
+};
+
+/**
+ * Copy of a rotated box shape with corner `handle` dragged to `point`. The
+ * opposite corner stays where it is on screen, and the box keeps its
+ * rotation. Sides don't shrink below `minSize`.
+ */
+export const resizeRotatedBox = (shape, handle, point, minSize = 10) => {
+  const index = BOX_HANDLES.indexOf(handle);
+  if (index === -1) return { ...shape };
+
+  const rotation = getRotation(shape);
+  const fixed = getBoxCorners(shape)[(index + 2) % 4];
+  // Drag from the fixed corner, measured along the shape's own axes
+  const drag = rotatePoint(point, fixed, -rotation);
+  const signX = handle.endsWith('right') ? 1 : -1;
+  const signY = handle.startsWith('bottom') ? 1 : -1;
+  const width = Math.max((drag.x - fixed.x) * signX, minSize);
+  const height = Math.max((drag.y - fixed.y) * signY, minSize);
+
+  const center = rotatePoint(
+    { x: fixed.x + signX * width / 2, y: fixed.y + signY * height / 2 },
+    fixed,
+    rotation
+  );
+
+  return {
+    ...shape,
+    x: center.x - width / 2,
+    y: center.y - height / 2,
+    width,
+    height
+  };
+};
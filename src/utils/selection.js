@@ -0,0 +1,76 @@
+/**
+ * Multi-selection and grouping.
+ *
+ * A selection is a list of shapes. Grouped shapes share a `groupId` and are
+ * always selected together, so a group behaves as one object. Groups are
+ * flat: grouping shapes that are already grouped merges them into one group.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { getShapeBounds } from './viewport';
+import { isOpening } from './openings';
+
+// Add every member of any group in `selection`
+export const expandToGroups = (selection, shapes) => {
+  const ids = new Set(selection.map(shape => shape.id));
+  const groupIds = new Set(selection.map(shape => shape.groupId).filter(Boolean));
+
+  return shapes.filter(shape => ids.has(shape.id) || groupIds.has(shape.groupId));
+};
+
+// Add a shape (and its group) to the selection, or take it out if already there
+export const toggleInSelection = (selection, shape, shapes) => {
+  const toggled = expandToGroups([shape], shapes);
+  const toggledIds = new Set(toggled.map(s => s.id));
+
+  if (selection.some(s => s.id === shape.id)) {
+    return selection.filter(s => !toggledIds.has(s.id));
+  }
+  return [...selection.filter(s => !toggledIds.has(s.id)), ...toggled];
+};
+
+// Normalize a dragged rectangle into { x, y, width, height }
+export const rectFromPoints = (a, b) => ({
+  x: Math.min(a.x, b.x),
+  y: Math.min(a.y, b.y),
+  width: Math.abs(b.x - a.x),
+  height: Math.abs(b.y - a.y)
+});
+
+// Shapes lying entirely inside a rectangle, plus the rest of their groups.
+// Openings have no bounds of their own and follow their host instead.
+export const getShapesInRect = (shapes, rect) => {
+  const inside = shapes.filter((shape) => {
+    if (isOpening(shape)) return false;
+    const bounds = getShapeBounds(shape);
+    return bounds.minX >= rect.x && bounds.maxX <= rect.x + rect.width &&
+      bounds.minY >= rect.y && bounds.maxY <= rect.y + rect.height;
+  });
+
+  return expandToGroups(inside, shapes);
+};
+
+// The group id when the selection is exactly one whole group, otherwise null
+export const getSelectedGroupId = (selection, shapes) => {
+  const groupId = selection[0]?.groupId;
+  if (!groupId || selection.some(shape => shape.groupId !== groupId)) return null;
+
+  const size = shapes.filter(shape => shape.groupId === groupId).length;
+  return size === selection.length ? groupId : null;
+};
+
+export const canGroup = (selection, shapes) => {
+  return selection.length > 1 && !getSelectedGroupId(selection, shapes);
+};
+
+export const canUngroup = (selection) => selection.some(shape => shape.groupId);
+
+// Copies of the selected shapes joined into one new group
+export const groupShapes = (selection) => {
+  const groupId = uuidv4();
+  return selection.map(shape => ({ ...shape, groupId }));
+};
+
+// Copies of the selected shapes with their grouping removed
+export const ungroupShapes = (selection) => {
+  return selection.map(({ groupId, ...shape }) => shape);
+};
@@ -0,0 +1,102 @@
+/**
+ * Command factories for edits to the shapes list.
+ *
+ * Each factory takes the `shapes` ref owned by App.vue and returns a command
+ * for CommandHistory. Shapes are treated as immutable values: an update swaps
+ * the stored object for a new one rather than mutating it in place. Layers
+ * added along with shapes (e.g. by an import) take the `layers` ref instead.
+ */
+
+const replaceById = (shapes, id, shape) => {
+  const index = shapes.value.findIndex(s => s.id === id);
+  if (index !== -1) {
+    shapes.value[index] = shape;
+  }
+};
+
+export const addShapeCommand = (shapes, shape) => ({
+  label: `Add ${shape.type}`,
+  redo() {
+    shapes.value.push(shape);
+  },
+  undo() {
+    shapes.value = shapes.value.filter(s => s.id !== shape.id);
+  }
+});
+
+export const updateShapeCommand = (shapes, before, after, label = `Edit ${after.type}`) => ({
+  label,
+  kind: 'update',
+  shapeId: after.id,
+  before,
+  after,
+  redo() {
+    replaceById(shapes, this.shapeId, this.after);
+  },
+  undo() {
+    replaceById(shapes, this.shapeId, this.before);
+  },
+  // Successive updates of the same shape collapse into one step
+  merge(next) {
+    if (next.kind !== 'update' || next.shapeId !== this.shapeId) return false;
+    this.after = next.after;
+    return true;
+  }
+});
+
+export const deleteShapeCommand = (shapes, shape) => {
+  let index = -1;
+
+  return {
+    label: `Delete ${shape.type}`,
+    redo() {
+      index = shapes.value.findIndex(s => s.id === shape.id);
+      shapes.value = shapes.value.filter(s => s.id !== shape.id);
+    },
+    undo() {
+      const restored = [...shapes.value];
+      restored.splice(index === -1 ? restored.length : index, 0, shape);
+      shapes.value = restored;
+    }
+  };
+};
+
+// Add layers at the bottom of the list; undoing takes away only those layers
+export const addLayersCommand = (layers, added, label = 'Add layers') => {
+  const ids = new Set(added.map(layer => layer.id));
+
+  return {
+    label,
+    redo() {
+      layers.value = [...layers.value, ...added];
+    },
+    undo() {
+      layers.value = layers.value.filter(layer => !ids.has(layer.id));
+    }
+  };
+};
+
+// Update several shapes as one step, e.g. moving a multi-selection
+export const updateShapesCommand = (shapes, before, after, label = 'Edit shapes') => ({
+  label,
+  kind: 'update-many',
+  shapeIds: after.map(shape => shape.id).join(),
+  before,
+  after,
+  redo() {
+    for (const shape of this.after) {
+      replaceById(shapes, shape.id, shape);
+    }
+  },
+  undo() {
+    for (const shape of this.before) {
+      replaceById(shapes, shape.id, shape);
+    }
+  },
+  // Successive updates of the same set of shapes collapse into one step
+  merge(next) {
+    if (next.kind !== 'update-many' || next.shapeIds !== this.shapeIds) return false;
+    this.after = next.after;
+    return true;
+  }
+});
@@ -0,0 +1,179 @@
+/**
+ * Keyboard shortcut registry.
+ *
+ * Every keyboard command is listed once in SHORTCUTS with its default key
+ * bindings; App looks key presses up here rather than testing keys itself.
+ * A binding is written like "Ctrl+Shift+Z": modifiers in the order Ctrl,
+ * Alt, Shift, then the key. Ctrl also matches Cmd on a Mac. Letters are
+ * upper case, other keys use their KeyboardEvent `key` name (Delete,
+ * ArrowUp, Escape). Shift is left out for other printable characters, as it
+ * is already part of the character (e.g. "?").
+ *
+ * Users can remap commands. Only their changes are stored, as a map from
+ * command id to its list of bindings, in localStorage under SHORTCUTS_KEY.
+ * The clipboard keys in RESERVED_BINDINGS arrive as copy, cut and paste
+ * events rather than key presses, so no command can be bound to them.
+ */
+
+export const SHORTCUTS_KEY = 'buildingPlanner.shortcuts';
+
+// Copy, cut and paste, which are handled as clipboard events
+export const RESERVED_BINDINGS = ['Ctrl+C', 'Ctrl+X', 'Ctrl+V'];
+
+export const isReservedBinding = (binding) => RESERVED_BINDINGS.includes(binding);
+
+export const SHORTCUT_GROUPS = ['Tools', 'Edit', 'Selection', 'File', 'Help'];
+
+export const SHORTCUTS = [
+  { id: 'tool-select', group: 'Tools', label: 'Select tool', keys: ['V'] },
+  { id: 'tool-line', group: 'Tools', label: 'Line tool', keys: ['L'] },
+  { id: 'tool-rectangle', group: 'Tools', label: 'Rectangle tool', keys: ['R'] },
+  { id: 'tool-ellipse', group: 'Tools', label: 'Ellipse / circle tool', keys: ['C'] },
+  { id: 'tool-wall', group: 'Tools', label: 'Wall tool', keys: [] },
+  { id: 'tool-polygon', group: 'Tools', label: 'Room tool', keys: [] },
+  { id: 'tool-door', group: 'Tools', label: 'Door tool', keys: [] },
+  { id: 'tool-window', group: 'Tools', label: 'Window tool', keys: [] },
+  { id: 'tool-dimension', group: 'Tools', label: 'Dimension tool', keys: [] },
+  { id: 'tool-text', group: 'Tools', label: 'Text tool', keys: [] },
+  { id: 'tool-measure', group: 'Tools', label: 'Measure tool', keys: [] },
+  { id: 'finish', group: 'Edit', label: 'Finish wall, room or measurement', keys: ['Enter'] },
+  { id: 'cancel', group: 'Edit', label: 'Cancel drawing in progress, or clear the selection', keys: ['Escape'] },
+  { id: 'undo', group: 'Edit', label: 'Undo', keys: ['Ctrl+Z'] },
+  { id: 'redo', group: 'Edit', label: 'Redo', keys: ['Ctrl+Shift+Z', 'Ctrl+Y'] },
+  { id: 'delete', group: 'Selection', label: 'Delete selection', keys: ['Delete', 'Backspace'] },
+  { id: 'duplicate', group: 'Selection', label: 'Duplicate selection', keys: ['Ctrl+D'] },
+  { id: 'group', group: 'Selection', label: 'Group selection', keys: ['Ctrl+G'] },
+  { id: 'ungroup', group: 'Selection', label: 'Ungroup selection', keys: ['Ctrl+Shift+G'] },
+  { id: 'nudge-left', group: 'Selection', label: 'Nudge left 1 px', keys: ['ArrowLeft'] },
+  { id: 'nudge-right', group: 'Selection', label: 'Nudge right 1 px', keys: ['ArrowRight'] },
+  { id: 'nudge-up', group: 'Selection', label: 'Nudge up 1 px', keys: ['ArrowUp'] },
+  { id: 'nudge-down', group: 'Selection', label: 'Nudge down 1 px', keys: ['ArrowDown'] },
+  { id: 'nudge-left-grid', group: 'Selection', label: 'Nudge left one grid step', keys: ['Shift+ArrowLeft'] },
+  { id: 'nudge-right-grid', group: 'Selection', label: 'Nudge right one grid step', keys: ['Shift+ArrowRight'] },
+  { id: 'nudge-up-grid', group: 'Selection', label: 'Nudge up one grid step', keys: ['Shift+ArrowUp'] },
+  { id: 'nudge-down-grid', group: 'Selection', label: 'Nudge down one grid step', keys: ['Shift+ArrowDown'] },
+  { id: 'save', group: 'File', label: 'Save drawing', keys: ['Ctrl+S'] },
+  { id: 'export-png', group: 'File', label: 'Export PNG', keys: ['Ctrl+E'] },
+  { id: 'export-svg', group: 'File', label: 'Export SVG', keys: ['Ctrl+Shift+E'] },
+  { id: 'help', group: 'Help', label: 'Show keyboard shortcuts', keys: ['?'] }
+];
+
+// Direction of each nudge command, in steps; grid nudges are multiplied by the grid spacing
+export const NUDGES = {
+  'nudge-left': { dx: -1, dy: 0, grid: false },
+  'nudge-right': { dx: 1, dy: 0, grid: false },
+  'nudge-up': { dx: 0, dy: -1, grid: false },
+  'nudge-down': { dx: 0, dy: 1, grid: false },
+  'nudge-left-grid': { dx: -1, dy: 0, grid: true },
+  'nudge-right-grid': { dx: 1, dy: 0, grid: true },
+  'nudge-up-grid': { dx: 0, dy: -1, grid: true },
+  'nudge-down-grid': { dx: 0, dy: 1, grid: true }
+};
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift'];
+
+// Keys that only modify others can't be bound on their own
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'];
+
+// Older browsers' names for some keys
+const KEY_NAMES = { ' ': 'Space', Esc: 'Escape', Del: 'Delete' };
+
+const normalizeKey = (key) => {
+  const name = KEY_NAMES[key] || key;
+  return name.length === 1 ? name.toUpperCase() : name;
+};
+
+// Shift is only written for letters and named keys; other characters include it
+const keepsShift = (key) => key.length > 1 || /^[A-Z]$/.test(key);
+
+const buildBinding = (modifiers, key) => {
+  const used = MODIFIERS.filter(modifier => modifiers.includes(modifier) && (modifier !== 'Shift' || keepsShift(key)));
+  return [...used, key].join('+');
+};
+
+// The binding a key press matches, or null for a lone modifier key
+export const eventToBinding = (e) => {
+  if (!e.key || MODIFIER_KEYS.includes(e.key)) return null;
+
+  const modifiers = [];
+  if (e.ctrlKey || e.metaKey) modifiers.push('Ctrl');
+  if (e.altKey) modifiers.push('Alt');
+  if (e.shiftKey) modifiers.push('Shift');
+  return buildBinding(modifiers, normalizeKey(e.key));
+};
+
+// Bindings of every command: its remapped ones if the user changed it, otherwise the defaults
+export const getBindings = (custom = {}) => {
+  return Object.fromEntries(SHORTCUTS.map(shortcut => [
+    shortcut.id,
+    Array.isArray(custom[shortcut.id]) ? custom[shortcut.id] : shortcut.keys
+  ]));
+};
+
+// The command bound to a binding, or null
+export const findShortcut = (binding, bindings) => {
+  if (!binding) return null;
+  return Object.keys(bindings).find(id => bindings[id].includes(binding)) || null;
+};
+
+/**
+ * Custom bindings with `binding` added to command `id`. A binding can only
+ * do one thing, so it is taken away from any other command that had it.
+ * Reserved bindings are refused, leaving `custom` as it was.
+ */
+export const assignBinding = (custom, id, binding) => {
+  if (isReservedBinding(binding)) return custom;
+
+  const bindings = getBindings(custom);
+  const next = { ...custom };
+
+  for (const [otherId, keys] of Object.entries(bindings)) {
+    if (otherId !== id && keys.includes(binding)) {
+      next[otherId] = keys.filter(key => key !== binding);
+    }
+  }
+  if (!bindings[id].includes(binding)) {
+    next[id] = [...bindings[id], binding];
+  }
+  return next;
+};
+
+// Custom bindings with one binding taken off command `id`
+export const removeBinding = (custom, id, binding) => {
+  return { ...custom, [id]: getBindings(custom)[id].filter(key => key !== binding) };
+};
+
+// Custom bindings with command `id` back on its defaults
+export const resetBinding = (custom, id) => {
+  const { [id]: removed, ...rest } = custom;
+  return rest;
+};
+
+// A binding for display, with arrows for the arrow keys
+export const formatBinding = (binding) => {
+  return binding
+    .replace(/Arrow(Left|Right|Up|Down)/, (match, direction) => ({ Left: '←', Right: '→', Up: '↑', Down: '↓' })[direction]);
+};
+
+// Remapped bindings saved in `storage`; unknown commands, malformed entries and reserved keys are dropped
+export const loadCustomBindings = (storage = localStorage) => {
+  try {
+    const saved = JSON.parse(storage.getItem(SHORTCUTS_KEY)) || {};
+    return Object.fromEntries(Object.entries(saved)
+      .filter(([id, keys]) => {
+        return SHORTCUTS.some(shortcut => shortcut.id === id) &&
+          Array.isArray(keys) && keys.every(key => typeof key === 'string');
+      })
+      .map(([id, keys]) => [id, keys.filter(key => !isReservedBinding(key))]));
+  } catch (error) {
+    return {};
+  }
+};
+
+export const saveCustomBindings = (custom, storage = localStorage) => {
+  if (Object.keys(custom).length === 0) {
+    storage.removeItem(SHORTCUTS_KEY);
+  } else {
+    storage.setItem(SHORTCUTS_KEY, JSON.stringify(custom));
+  }
+};
@@ -0,0 +1,158 @@
+/**
+ * Snapping of canvas points to the grid and to features of existing shapes.
+ *
+ * Geometry snaps (endpoints, midpoints, corners, centers) win over the grid
+ * when one is within `tolerance` pixels; otherwise the point falls back to the
+ * nearest grid intersection when grid snapping is on. Lining up with other
+ * shapes and drawing parallel to them is in utils/constraints.
+ */
+import { distance, getSegments } from './geometry';
+import { getWallSegments } from './walls';
+import { getBoxCorners } from './rotation';
+
+export const SNAP_TOLERANCE = 10;
+
+export const DEFAULT_GRID = {
+  show: true,
+  spacing: 25,
+  snapToGrid: true,
+  snapToGeometry: true,
+  // Segments being drawn snap parallel or perpendicular to edges they pass over
+  snapParallel: false
+};
+
+// Feature points of a shape that other points can snap to
+export const getSnapPoints = (shape) => {
+  switch (shape.type) {
+    case 'line':
+      return [
+        { x: shape.startX, y: shape.startY, kind: 'endpoint' },
+        { x: shape.endX, y: shape.endY, kind: 'endpoint' },
+        {
+          x: (shape.startX + shape.endX) / 2,
+          y: (shape.startY + shape.endY) / 2,
+          kind: 'midpoint'
+        }
+      ];
+
+    case 'rectangle':
+      return getBoxCorners(shape).map(p => ({ ...p, kind: 'corner' }));
+
+    case 'ellipse':
+      return [
+        { x: shape.x + shape.width / 2, y: shape.y + shape.height / 2, kind: 'center' }
+      ];
+
+    case 'wall':
+      return [
+        ...shape.points.map(p => ({ x: p.x, y: p.y, kind: 'endpoint' })),
+        ...getWallSegments(shape).map(([a, b]) => ({
+          x: (a.x + b.x) / 2,
+          y: (a.y + b.y) / 2,
+          kind: 'midpoint'
+        }))
+      ];
+
+    case 'polygon':
+      return [
+        ...shape.points.map(p => ({ x: p.x, y: p.y, kind: 'corner' })),
+        ...getSegments(shape.points, true).map(([a, b]) => ({
+          x: (a.x + b.x) / 2,
+          y: (a.y + b.y) / 2,
+          kind: 'midpoint'
+        }))
+      ];
+  }
+  return [];
+};
+
+export const snapToGrid = (point, spacing) => ({
+  x: Math.round(point.x / spacing) * spacing,
+  y: Math.round(point.y / spacing) * spacing,
+  kind: 'grid'
+});
+
+// Nearest shape feature within tolerance, or null. The result names the
+// shape and the index of the feature in its snap points.
+const findGeometrySnap = (point, shapes, tolerance, excludeIds) => {
+  let best = null;
+  let bestDistance = tolerance;
+
+  for (const shape of shapes) {
+    if (excludeIds.includes(shape.id)) continue;
+
+    getSnapPoints(shape).forEach((snapPoint, index) => {
+      const d = distance(point, snapPoint);
+      if (d <= bestDistance) {
+        best = { ...snapPoint, shapeId: shape.id, index };
+        bestDistance = d;
+      }
+    });
+  }
+
+  return best;
+};
+
+/**
+ * Snap a single point.
+ * Returns the snapped point with the `kind` of target it landed on,
+ * or null when nothing is close enough and grid snapping is off.
+ */
+export const findSnap = (point, shapes, options = {}) => {
+  const {
+    grid = DEFAULT_GRID,
+    tolerance = SNAP_TOLERANCE,
+    excludeIds = []
+  } = options;
+
+  if (grid.snapToGeometry) {
+    const target = findGeometrySnap(point, shapes, tolerance, excludeIds);
+    if (target) return { ...target };
+  }
+
+  if (grid.snapToGrid && grid.spacing > 0) {
+    return snapToGrid(point, grid.spacing);
+  }
+
+  return null;
+};
+
+/**
+ * Work out how far to nudge a moving shape so one of its feature points
+ * lands on a snap target. `points` are the moving shape's feature points;
+ * the first one is used as the anchor for grid snapping.
+ * Returns `{ dx, dy, target }`, with target null when nothing snapped.
+ */
+export const findMoveSnap = (points, shapes, options = {}) => {
+  const {
+    grid = DEFAULT_GRID,
+    tolerance = SNAP_TOLERANCE,
+    excludeIds = []
+  } = options;
+
+  if (grid.snapToGeometry) {
+    let best = null;
+    let bestDistance = tolerance;
+
+    for (const point of points) {
+      const target = findGeometrySnap(point, shapes, tolerance, excludeIds);
+      if (target) {
+        const d = distance(point, target);
+        if (d <= bestDistance) {
+          best = { dx: target.x - point.x, dy: target.y - point.y, target: { ...target } };
+          bestDistance = d;
+        }
+      }
+    }
+
+    if (best) return best;
+  }
+
+  if (grid.snapToGrid && grid.spacing > 0 && points.length > 0) {
+    const anchor = points[0];
+    const target = snapToGrid(anchor, grid.spacing);
+    return { dx: target.x - anchor.x, dy: target.y - anchor.y, target };
+  }
+
+  return { dx: 0, dy: 0, target: null };
+};
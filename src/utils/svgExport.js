@@ -0,0 +1,204 @@
+/**
+ * Vector export of a drawing as SVG.
+ *
+ * Builds the SVG from the shape model rather than from the canvas, so the
+ * result covers the whole drawing at any size and prints sharply. One world
+ * pixel is one SVG user unit; the view box is the drawing's bounds plus a
+ * margin. Shapes on hidden layers are left out and colors are resolved
+ * through layers as on screen. Room names, text shapes and dimension shapes
+ * are always included; automatic dimension annotations only when asked for.
+ */
+import { DEFAULT_SCALE, formatLength } from './units';
+import { getShapesBounds } from './viewport';
+import { WALL_FILL, getWallOutline } from './walls';
+import { isOpening, getOpeningGeometry, getOpeningOutline, getOpeningSymbol } from './openings';
+import { DEFAULT_LAYERS, getShapeLayer, isShapeVisible, resolveShapeStyle, sortShapesByLayer } from './layers';
+import { getShapeAnnotations, getRoomLabel } from './annotations';
+import { getRotation, getBoxCenter } from './rotation';
+import { isCircle, getEllipseRadii } from './ellipses';
+import { DIMENSION_TEXT_SIZE, getDimensionGeometry } from './dimensions';
+import { TEXT_FONT, getTextLabel } from './text';
+
+// Space around the drawing's bounds, in world pixels
+export const SVG_MARGIN = 40;
+
+const ANNOTATION_FONT = 'font-family="Arial" font-size="12" fill="#555"';
+const LABEL_FONT = 'font-family="Arial" font-size="13" font-weight="bold" fill="#333"';
+
+// Keep coordinates short: two decimals are well below a printed pixel
+const num = (value) => Number(value.toFixed(2));
+
+export const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const pointList = (points) => points.map(p => `${num(p.x)},${num(p.y)}`).join(' ');
+
+const ringPath = (points) => `M${pointList(points).replace(/ /g, ' L')} Z`;
+
+const paint = ({ color, fillColor }, strokeWidth = 1) => {
+  const fill = fillColor === 'transparent' ? 'none' : fillColor;
+  return `fill="${escapeXml(fill)}" stroke="${escapeXml(color)}" stroke-width="${strokeWidth}"`;
+};
+
+// Turns a box shape about its center, as on the canvas
+const rotateAttribute = (shape) => {
+  const rotation = getRotation(shape);
+  if (!rotation) return '';
+  const center = getBoxCenter(shape);
+  return ` transform="rotate(${num(rotation)} ${num(center.x)} ${num(center.y)})"`;
+};
+
+// Geometry of a plain shape; walls and openings are handled separately
+const shapeElement = (shape, style) => {
+  switch (shape.type) {
+    case 'rectangle':
+      return `<rect x="${num(shape.x)}" y="${num(shape.y)}" width="${num(shape.width)}" height="${num(shape.height)}"${rotateAttribute(shape)} ${paint(style)}/>`;
+
+    case 'ellipse': {
+      const center = getBoxCenter(shape);
+      if (isCircle(shape)) {
+        return `<circle cx="${num(center.x)}" cy="${num(center.y)}" r="${num(shape.width / 2)}" ${paint(style)}/>`;
+      }
+      const { rx, ry } = getEllipseRadii(shape);
+      return `<ellipse cx="${num(center.x)}" cy="${num(center.y)}" rx="${num(rx)}" ry="${num(ry)}"${rotateAttribute(shape)} ${paint(style)}/>`;
+    }
+
+    case 'line':
+      return `<line x1="${num(shape.startX)}" y1="${num(shape.startY)}" x2="${num(shape.endX)}" y2="${num(shape.endY)}" ${paint({ ...style, fillColor: 'transparent' })}/>`;
+
+    case 'polygon':
+      return `<polygon points="${pointList(shape.points)}" ${paint(style)}/>`;
+
+    case 'text': {
+      const label = getTextLabel(shape);
+      return textElement(label, `font-family="${TEXT_FONT}" font-size="${num(label.size)}" fill="${escapeXml(style.color)}"`);
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Walls are stroked first and filled on top, as on the canvas, so joins merge
+const wallElements = (walls, styleOf) => {
+  const outlines = walls.map(wall => getWallOutline(wall).map(ringPath).join(' '));
+  return [
+    ...walls.map((wall, i) => `<path d="${outlines[i]}" fill="none" stroke="${escapeXml(styleOf(wall).color)}" stroke-width="2" stroke-linejoin="miter"/>`),
+    ...walls.map((wall, i) => {
+      const { fillColor } = styleOf(wall);
+      const fill = fillColor !== 'transparent' ? fillColor : WALL_FILL;
+      return `<path d="${outlines[i]}" fill="${escapeXml(fill)}" fill-rule="evenodd" stroke="none"/>`;
+    })
+  ];
+};
+
+// Opening cut out of its host, then its plan symbol
+const openingElements = (opening, geometry, style) => {
+  const { lines, swing } = getOpeningSymbol(opening, geometry);
+  const parts = lines.map(([a, b]) => `M${num(a.x)},${num(a.y)} L${num(b.x)},${num(b.y)}`);
+
+  if (swing) {
+    // Canvas arcs run clockwise on screen unless anticlockwise, which is SVG's sweep flag 1
+    parts.push(
+      `M${num(swing.leafEnd.x)},${num(swing.leafEnd.y)} ` +
+      `A${num(swing.radius)},${num(swing.radius)} 0 0 ${swing.anticlockwise ? 0 : 1} ${num(swing.jamb.x)},${num(swing.jamb.y)}`
+    );
+  }
+
+  return [
+    `<polygon points="${pointList(getOpeningOutline(geometry))}" fill="#ffffff" stroke="none"/>`,
+    `<path d="${parts.join(' ')}" fill="none" stroke="${escapeXml(style.color)}" stroke-width="1"/>`
+  ];
+};
+
+// Labels with a rotation turn about their position
+const textElement = ({ x, y, text, anchor, rotation }, font) => {
+  const anchorAttr = anchor === 'start' ? '' : ` text-anchor="${anchor}"`;
+  const rotateAttr = rotation ? ` transform="rotate(${num(rotation)} ${num(x)} ${num(y)})"` : '';
+  return `<text x="${num(x)}" y="${num(y)}" ${font}${anchorAttr}${rotateAttr}>${escapeXml(text)}</text>`;
+};
+
+// Dimension line, extension lines, arrowheads and the measured length
+const dimensionElements = (dimension, style, scale) => {
+  const { length, start, end, extensions, arrows, label } = getDimensionGeometry(dimension);
+  const color = escapeXml(style.color);
+  const lines = [[start, end], ...extensions]
+    .map(([a, b]) => `M${num(a.x)},${num(a.y)} L${num(b.x)},${num(b.y)}`);
+
+  return [
+    `<path d="${lines.join(' ')}" fill="none" stroke="${color}" stroke-width="1"/>`,
+    ...arrows.map(arrow => `<polygon points="${pointList(arrow)}" fill="${color}" stroke="none"/>`),
+    textElement(
+      { ...label, text: formatLength(length, scale), anchor: 'middle' },
+      `font-family="${TEXT_FONT}" font-size="${DIMENSION_TEXT_SIZE}" fill="${color}"`
+    )
+  ];
+};
+
+/**
+ * SVG document for a drawing. Options: `scale` for annotation units,
+ * `layers` for visibility and colors, `annotations` to include dimensions,
+ * `margin` around the bounds and an optional `title`.
+ */
+export const exportSvg = (shapes, {
+  scale = DEFAULT_SCALE,
+  layers = DEFAULT_LAYERS,
+  annotations = false,
+  margin = SVG_MARGIN,
+  title = ''
+} = {}) => {
+  const visible = sortShapesByLayer(shapes.filter(shape => isShapeVisible(shape, layers)), layers);
+  const styleOf = (shape) => resolveShapeStyle(shape, getShapeLayer(shape, layers));
+  const hosts = new Map(visible.map(shape => [shape.id, shape]));
+  const openings = visible
+    .filter(isOpening)
+    .map(opening => ({ opening, geometry: getOpeningGeometry(opening, hosts.get(opening.hostId)) }))
+    .filter(({ geometry }) => geometry);
+  const others = visible.filter(shape => !isOpening(shape));
+
+  // Openings lie within their hosts, so the other shapes set the bounds
+  const bounds = getShapesBounds(others) || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  const x = num(bounds.minX - margin);
+  const y = num(bounds.minY - margin);
+  const width = num(bounds.maxX - bounds.minX + margin * 2);
+  const height = num(bounds.maxY - bounds.minY + margin * 2);
+
+  const elements = [
+    `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...wallElements(others.filter(shape => shape.type === 'wall'), styleOf),
+    ...others.map(shape => shapeElement(shape, styleOf(shape))).filter(Boolean),
+    ...openings.flatMap(({ opening, geometry }) => openingElements(opening, geometry, styleOf(opening))),
+    ...others
+      .filter(shape => shape.type === 'dimension')
+      .flatMap(dimension => dimensionElements(dimension, styleOf(dimension), scale))
+  ];
+
+  // Room names belong to the plan and are always shown
+  for (const room of others.filter(shape => shape.type === 'polygon')) {
+    const label = getRoomLabel(room);
+    if (label) {
+      elements.push(textElement(label, LABEL_FONT));
+    }
+  }
+
+  if (annotations) {
+    const labels = [
+      ...others.flatMap(shape => getShapeAnnotations(shape, scale)),
+      ...openings.flatMap(({ opening, geometry }) => getShapeAnnotations(opening, scale, geometry))
+    ];
+    elements.push(...labels.map(label => textElement(label, ANNOTATION_FONT)));
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">`,
+    ...(title ? [`  <title>${escapeXml(title)}</title>`] : []),
+    ...elements.map(element => `  ${element}`),
+    '</svg>',
+    ''
+  ].join('\n');
+};
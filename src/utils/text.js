@@ -0,0 +1,112 @@
+/**
+ * Free text notes and labels.
+ *
+ * A text shape keeps its content in `text` and its font size in world
+ * pixels in `fontSize`, so it scales with the plan. Its box (`x`, `y`,
+ * `width`, `height`) is estimated from the content and can be rotated like a
+ * rectangle's. `align` says which point of the box the text hangs from:
+ * the middle of its left edge, its center or the middle of its right edge.
+ * That point stays put when the text is edited, so left-aligned text grows
+ * to the right, centered text both ways, and right-aligned text to the left.
+ */
+import { fromShapeFrame, rotatePoint, getRotation } from './rotation';
+
+export const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+
+export const DEFAULT_TEXT = {
+  fontSize: 16,
+  align: 'left',
+  rotation: 0
+};
+
+export const TEXT_FONT = 'Arial';
+
+// Box height and average character width, in ems
+const LINE_HEIGHT = 1.2;
+const CHARACTER_WIDTH = 0.55;
+// Drop from the middle of the box to the baseline, in ems
+const BASELINE_DROP = 0.35;
+
+const ALIGN_FACTORS = { left: 0, center: 0.5, right: 1 };
+
+// SVG text-anchor, and label anchor, for each alignment
+const ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+
+// Rough width of a line of text; close enough for selecting and bounds
+export const estimateTextWidth = (text, fontSize) => text.length * fontSize * CHARACTER_WIDTH;
+
+const getAlignFactor = (shape) => ALIGN_FACTORS[shape.align] ?? 0;
+
+// The point the text hangs from, in world coordinates
+export const getTextAnchor = (shape) => {
+  return fromShapeFrame({
+    x: shape.x + shape.width * getAlignFactor(shape),
+    y: shape.y + shape.height / 2
+  }, shape);
+};
+
+// Box of a text hanging from `anchor`, sized to its content and turned by its rotation
+const boxAround = (shape, anchor) => {
+  const width = estimateTextWidth(shape.text, shape.fontSize);
+  const height = shape.fontSize * LINE_HEIGHT;
+  // The center sits this far from the anchor along the text, turned with it
+  const center = rotatePoint(
+    { x: anchor.x + width * (0.5 - getAlignFactor(shape)), y: anchor.y },
+    anchor,
+    getRotation(shape)
+  );
+
+  return {
+    ...shape,
+    x: center.x - width / 2,
+    y: center.y - height / 2,
+    width,
+    height
+  };
+};
+
+/**
+ * A new text shape hanging from `point`. `settings` are
+ * `{ fontSize, align, rotation }`; `props` adds layer and colors.
+ */
+export const createText = (point, text, settings, props = {}) => {
+  const rotation = settings.rotation || 0;
+  return boxAround({
+    type: 'text',
+    text,
+    fontSize: settings.fontSize,
+    align: settings.align,
+    ...(rotation ? { rotation } : {}),
+    ...props
+  }, point);
+};
+
+/**
+ * A text shape with `changes` applied (content, font size, alignment or
+ * rotation), its box refitted around the point it hangs from.
+ */
+export const updateText = (shape, changes) => {
+  const anchor = getTextAnchor(shape);
+  return boxAround({ ...shape, ...changes }, anchor);
+};
+
+/**
+ * Where and how to write a text shape: `{ x, y, text, anchor, rotation,
+ * size }`, with the position on the baseline like the labels in
+ * annotations.js.
+ */
+export const getTextLabel = (shape) => {
+  const baseline = fromShapeFrame({
+    x: shape.x + shape.width * getAlignFactor(shape),
+    y: shape.y + shape.height / 2 + shape.fontSize * BASELINE_DROP
+  }, shape);
+
+  return {
+    x: baseline.x,
+    y: baseline.y,
+    text: shape.text,
+    anchor: ANCHORS[shape.align] || 'start',
+    rotation: getRotation(shape),
+    size: shape.fontSize
+  };
+};
@@ -0,0 +1,240 @@
+/**
+ * Real-world units for drawings.
+ *
+ * A drawing's scale is stored as `{ pixelsPerMeter, unit }`: how many canvas
+ * pixels make one metre, and which unit system lengths are shown in. Shapes
+ * themselves stay in pixels; conversion only happens for display and input.
+ */
+
+const METERS_PER_INCH = 0.0254;
+
+export const UNIT_SYSTEMS = {
+  mm: { label: 'Millimetres', symbol: 'mm', meters: 0.001, decimals: 0 },
+  cm: { label: 'Centimetres', symbol: 'cm', meters: 0.01, decimals: 1 },
+  m: { label: 'Metres', symbol: 'm', meters: 1, decimals: 2 },
+  'ft-in': { label: 'Feet & inches', symbol: 'ft', meters: 12 * METERS_PER_INCH, decimals: 0 }
+};
+
+export const DEFAULT_SCALE = {
+  pixelsPerMeter: 50,
+  unit: 'm'
+};
+
+const getScale = (scale) => ({ ...DEFAULT_SCALE, ...scale });
+
+export const pixelsToMeters = (pixels, scale) => {
+  return pixels / getScale(scale).pixelsPerMeter;
+};
+
+export const metersToPixels = (meters, scale) => {
+  return meters * getScale(scale).pixelsPerMeter;
+};
+
+// Format a length in metres as feet and whole inches, e.g. 12' 6"
+const formatFeetInches = (meters) => {
+  const sign = meters < 0 ? '-' : '';
+  const totalInches = Math.round(Math.abs(meters) / METERS_PER_INCH);
+  const feet = Math.floor(totalInches / 12);
+  const inches = totalInches % 12;
+
+  if (feet === 0) return `${sign}${inches}"`;
+  return `${sign}${feet}' ${inches}"`;
+};
+
+// Format a pixel length in the drawing's units
+export const formatLength = (pixels, scale) => {
+  const { unit } = getScale(scale);
+  const meters = pixelsToMeters(pixels, scale);
+
+  if (unit === 'ft-in') {
+    return formatFeetInches(meters);
+  }
+
+  const system = UNIT_SYSTEMS[unit] || UNIT_SYSTEMS.m;
+  return `${(meters / system.meters).toFixed(system.decimals)} ${system.symbol}`;
+};
+
+// Format a pixel area: square metres for metric units, square feet for imperial
+export const formatArea = (squarePixels, scale) => {
+  const { unit } = getScale(scale);
+  const meters = pixelsToMeters(1, scale);
+  const squareMeters = squarePixels * meters * meters;
+
+  if (unit === 'ft-in') {
+    const squareFeet = squareMeters / Math.pow(UNIT_SYSTEMS['ft-in'].meters, 2);
+    return `${squareFeet.toFixed(1)} ft²`;
+  }
+
+  return `${squareMeters.toFixed(2)} m²`;
+};
+
+// Describe a scale for labels, e.g. "1 m = 50 px"
+export const formatScale = (scale) => {
+  const { unit } = getScale(scale);
+  const system = UNIT_SYSTEMS[unit] || UNIT_SYSTEMS.m;
+  const pixels = metersToPixels(system.meters, scale);
+  const reference = unit === 'ft-in' ? '1 ft' : `1 ${system.symbol}`;
+
+  return `${reference} = ${Number(pixels.toFixed(2))} px`;
+};
+
+const SUFFIX_METERS = {
+  mm: 0.001,
+  cm: 0.01,
+  m: 1,
+  in: METERS_PER_INCH,
+  '"': METERS_PER_INCH,
+  ft: 12 * METERS_PER_INCH,
+  "'": 12 * METERS_PER_INCH
+};
+
+/**
+ * Parse a length typed by the user into metres.
+ * Accepts plain numbers in the drawing unit ("3.5"), unit suffixes
+ * ("350cm", "3.5 m", "14in") and feet-inches ("12'6\"", "12' 6").
+ * Returns NaN when the text isn't a length.
+ */
+export const parseLength = (text, unit = DEFAULT_SCALE.unit) => {
+  const value = String(text).trim().toLowerCase();
+  if (!value) return NaN;
+
+  const feetInches = value.match(/^(-?\d+(?:\.\d+)?)\s*(?:'|ft)\s*(\d+(?:\.\d+)?)\s*(?:"|in)?$/);
+  if (feetInches) {
+    const feet = parseFloat(feetInches[1]);
+    const inches = parseFloat(feetInches[2]) * Math.sign(feet || 1);
+    return (feet * 12 + inches) * METERS_PER_INCH;
+  }
+
+  const single = value.match(/^(-?\d+(?:\.\d+)?|-?\.\d+)\s*(mm|cm|m|in|ft|"|')?$/);
+  if (!single) return NaN;
+
+  const number = parseFloat(single[1]);
+  if (single[2]) {
+    return number * SUFFIX_METERS[single[2]];
+  }
+
+  // A bare number is in the drawing unit (feet for imperial drawings)
+  const system = UNIT_SYSTEMS[unit] || UNIT_SYSTEMS.m;
+  return number * system.meters;
+};
+
+// A number, optionally followed by feet-and-inches or a unit suffix; feet-inches
+// come first so "12'6" isn't read as 12 feet followed by a stray 6
+const LENGTH_ATOM = /(\d+(?:\.\d+)?|\.\d+)\s*(?:(?:'|ft)\s*(\d+(?:\.\d+)?)\s*(?:"|in)?|(mm|cm|m|in|ft|"|'))?/y;
+
+const ANGLE_ATOM = /(\d+(?:\.\d+)?|\.\d+)\s*(?:°|deg)?/y;
+
+const INVALID = { value: NaN, dim: 0 };
+
+// A term of a typed length: `dim` is 1 for a length in metres, 0 for a plain number
+const readLength = (source, index) => {
+  LENGTH_ATOM.lastIndex = index;
+  const match = LENGTH_ATOM.exec(source);
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  let term = { value: number, dim: 0 };
+  if (match[2] !== undefined) {
+    term = { value: (number * 12 + parseFloat(match[2])) * METERS_PER_INCH, dim: 1 };
+  } else if (match[3]) {
+    term = { value: number * SUFFIX_METERS[match[3]], dim: 1 };
+  }
+  return { term, end: LENGTH_ATOM.lastIndex };
+};
+
+const readNumber = (pattern) => (source, index) => {
+  pattern.lastIndex = index;
+  const match = pattern.exec(source);
+  return match && { term: { value: parseFloat(match[1]), dim: 0 }, end: pattern.lastIndex };
+};
+
+/**
+ * Evaluate arithmetic on terms read by `readTerm`: + and - between terms,
+ * * and / by plain numbers, unary minus and parentheses. `fromPlain` turns
+ * a plain number into a length where the two are added, and is applied to a
+ * result that has no unit at all. Returns NaN for anything else.
+ */
+const evaluate = (text, readTerm, fromPlain) => {
+  const source = String(text).trim().toLowerCase();
+  let index = 0;
+
+  const accept = (char) => {
+    while (/\s/.test(source[index] || '')) index++;
+    if (source[index] !== char) return false;
+    index++;
+    return true;
+  };
+
+  const atom = () => {
+    if (accept('-')) {
+      const term = atom();
+      return { ...term, value: -term.value };
+    }
+    if (accept('(')) {
+      const term = sum();
+      return accept(')') ? term : INVALID;
+    }
+    const read = readTerm(source, index);
+    if (!read) return INVALID;
+    index = read.end;
+    return read.term;
+  };
+
+  const product = () => {
+    let result = atom();
+    for (;;) {
+      if (accept('*')) {
+        const term = atom();
+        result = { value: result.value * term.value, dim: result.dim + term.dim };
+      } else if (accept('/')) {
+        const term = atom();
+        result = term.dim ? INVALID : { value: result.value / term.value, dim: result.dim };
+      } else {
+        return result;
+      }
+    }
+  };
+
+  const sum = () => {
+    let result = product();
+    for (;;) {
+      const sign = accept('+') ? 1 : accept('-') ? -1 : 0;
+      if (!sign) return result;
+      const term = product();
+      if (result.dim === term.dim) {
+        result = { value: result.value + sign * term.value, dim: result.dim };
+      } else {
+        // A plain number next to a length is in the drawing unit
+        const a = result.dim ? result.value : fromPlain(result.value);
+        const b = term.dim ? term.value : fromPlain(term.value);
+        result = { value: a + sign * b, dim: 1 };
+      }
+    }
+  };
+
+  if (!source) return NaN;
+  const result = sum();
+  // Anything left over, or an area such as "2m * 3m", isn't a length
+  if (index < source.length || result.dim > 1) return NaN;
+
+  const value = result.dim ? result.value : fromPlain(result.value);
+  return Number.isFinite(value) ? value : NaN;
+};
+
+/**
+ * Evaluate a length typed as arithmetic into metres, e.g. "200+45",
+ * "3.5m - 20cm", "2 * 12'6\"" or "(4m + 30) / 2". Each term is read like
+ * parseLength reads a length, bare numbers in the drawing unit. Lengths can
+ * be added and subtracted, and multiplied or divided by plain numbers.
+ * Returns NaN when the text isn't a length.
+ */
+export const evaluateLength = (text, unit = DEFAULT_SCALE.unit) => {
+  const system = UNIT_SYSTEMS[unit] || UNIT_SYSTEMS.m;
+  return evaluate(text, readLength, number => number * system.meters);
+};
+
+// Evaluate an angle in degrees typed as arithmetic, e.g. "45", "90° - 12.5" or "360/8"
+export const evaluateAngle = (text) => evaluate(text, readNumber(ANGLE_ATOM), number => number);
+
+// Evaluate a plain number typed as arithmetic, e.g. "12 * 1.5"
+export const evaluateNumber = (text) => evaluate(text, readNumber(/(\d+(?:\.\d+)?|\.\d+)/y), number => number);
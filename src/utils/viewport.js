@@ -0,0 +1,127 @@
+/**
+ * Viewport maths for panning and zooming the canvas.
+ *
+ * Shapes are stored in world coordinates. A viewport `{ x, y, zoom }` maps
+ * them to the screen: screen = world * zoom + (x, y).
+ */
+import { getRotation, getBoxCorners } from './rotation';
+import { getEllipseBounds } from './ellipses';
+import { getDimensionGeometry } from './dimensions';
+
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 20;
+
+export const DEFAULT_VIEWPORT = {
+  x: 0,
+  y: 0,
+  zoom: 1
+};
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+export const screenToWorld = (point, viewport) => ({
+  x: (point.x - viewport.x) / viewport.zoom,
+  y: (point.y - viewport.y) / viewport.zoom
+});
+
+export const worldToScreen = (point, viewport) => ({
+  x: point.x * viewport.zoom + viewport.x,
+  y: point.y * viewport.zoom + viewport.y
+});
+
+// Zoom by `factor` while keeping the world point under `screenPoint` fixed
+export const zoomAt = (viewport, screenPoint, factor) => {
+  const zoom = clampZoom(viewport.zoom * factor);
+  const world = screenToWorld(screenPoint, viewport);
+
+  return {
+    x: screenPoint.x - world.x * zoom,
+    y: screenPoint.y - world.y * zoom,
+    zoom
+  };
+};
+
+// Bounds of a list of points, grown by `pad` on every side
+const getPointsBounds = (points, pad = 0) => {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  return {
+    minX: Math.min(...xs) - pad,
+    minY: Math.min(...ys) - pad,
+    maxX: Math.max(...xs) + pad,
+    maxY: Math.max(...ys) + pad
+  };
+};
+
+// Axis-aligned bounds of a single shape
+export const getShapeBounds = (shape) => {
+  if (shape.type === 'dimension') {
+    // The dimension line sits off the measured points
+    const { start, end } = getDimensionGeometry(shape);
+    return getPointsBounds([...shape.points, start, end]);
+  }
+
+  if (shape.points) {
+    // Pad polylines (e.g. walls) by their thickness
+    return getPointsBounds(shape.points, shape.thickness || 0);
+  }
+
+  if (shape.type === 'line') {
+    const minX = Math.min(shape.startX, shape.endX);
+    const minY = Math.min(shape.startY, shape.endY);
+    return {
+      minX,
+      minY,
+      maxX: Math.max(shape.startX, shape.endX),
+      maxY: Math.max(shape.startY, shape.endY)
+    };
+  }
+
+  if (shape.type === 'ellipse') {
+    return getEllipseBounds(shape);
+  }
+
+  if (getRotation(shape)) {
+    // Rotated boxes reach as far as their corners
+    return getPointsBounds(getBoxCorners(shape));
+  }
+
+  return {
+    minX: shape.x,
+    minY: shape.y,
+    maxX: shape.x + shape.width,
+    maxY: shape.y + shape.height
+  };
+};
+
+// Combined bounds of several shapes, or null for an empty list
+export const getShapesBounds = (shapes) => {
+  if (shapes.length === 0) return null;
+
+  return shapes.map(getShapeBounds).reduce((acc, b) => ({
+    minX: Math.min(acc.minX, b.minX),
+    minY: Math.min(acc.minY, b.minY),
+    maxX: Math.max(acc.maxX, b.maxX),
+    maxY: Math.max(acc.maxY, b.maxY)
+  }));
+};
+
+// Viewport that fits `bounds` into a screen of the given size
+export const fitBounds = (bounds, width, height, padding = 40) => {
+  if (!bounds) return { ...DEFAULT_VIEWPORT };
+
+  const boundsWidth = Math.max(bounds.maxX - bounds.minX, 1);
+  const boundsHeight = Math.max(bounds.maxY - bounds.minY, 1);
+  const availableWidth = Math.max(width - padding * 2, 1);
+  const availableHeight = Math.max(height - padding * 2, 1);
+
+  const zoom = clampZoom(Math.min(availableWidth / boundsWidth, availableHeight / boundsHeight));
+  const centerX = (bounds.minX + bounds.maxX) / 2;
+  const centerY = (bounds.minY + bounds.maxY) / 2;
+
+  return {
+    x: width / 2 - centerX * zoom,
+    y: height / 2 - centerY * zoom,
+    zoom
+  };
+};
@@ -0,0 +1,110 @@
+/**
+ * Geometry for `wall` shapes.
+ *
+ * A wall is a polyline of `points` with a `thickness` (world px) and an
+ * `alignment` saying which side of the drawn path the wall body sits on:
+ * 'center' straddles it, 'left' and 'right' put the body on that side when
+ * walking from the first point to the last. Consecutive segments are joined
+ * with mitres; `closed` walls also mitre the last point back to the first.
+ */
+import { getSegments, dedupePoints } from './geometry';
+
+export const WALL_ALIGNMENTS = ['center', 'left', 'right'];
+
+export const DEFAULT_WALL = {
+  thickness: 10,
+  alignment: 'center'
+};
+
+// Fill used when a wall has no fill color, so overlapping joins stay hidden
+export const WALL_FILL = '#d6d6d6';
+
+// Longest mitre allowed, as a multiple of the offset, before it is clipped
+const MITER_LIMIT = 4;
+
+// Signed offsets of the two wall faces along the left-hand normal
+export const getWallOffsets = (thickness, alignment = 'center') => {
+  switch (alignment) {
+    case 'left':
+      return [thickness, 0];
+    case 'right':
+      return [0, -thickness];
+    default:
+      return [thickness / 2, -thickness / 2];
+  }
+};
+
+// Unit left-hand normal of a segment (screen coordinates, y down)
+const segmentNormal = (a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = Math.sqrt(dx * dx + dy * dy) || 1;
+  return { x: dy / length, y: -dx / length };
+};
+
+// Offset a polyline sideways by `offset`, mitring the corners
+const offsetPolyline = (points, offset, closed) => {
+  const count = points.length;
+  const result = [];
+
+  for (let i = 0; i < count; i++) {
+    const p = points[i];
+    const hasPrev = closed || i > 0;
+    const hasNext = closed || i < count - 1;
+    const prev = points[(i - 1 + count) % count];
+    const next = points[(i + 1) % count];
+
+    const nPrev = hasPrev ? segmentNormal(prev, p) : null;
+    const nNext = hasNext ? segmentNormal(p, next) : null;
+
+    if (!nPrev || !nNext) {
+      const n = nPrev || nNext;
+      result.push({ x: p.x + n.x * offset, y: p.y + n.y * offset });
+      continue;
+    }
+
+    // Mitre vector: bisector of the two normals, scaled so both faces meet
+    const denom = 1 + nPrev.x * nNext.x + nPrev.y * nNext.y;
+    if (denom < 1e-6) {
+      // The path doubles back on itself; there is no sensible mitre
+      result.push({ x: p.x + nNext.x * offset, y: p.y + nNext.y * offset });
+      continue;
+    }
+
+    let mx = (nPrev.x + nNext.x) / denom;
+    let my = (nPrev.y + nNext.y) / denom;
+    const length = Math.sqrt(mx * mx + my * my);
+
+    // Clip very sharp corners so the mitre doesn't spike out
+    if (length > MITER_LIMIT) {
+      mx *= MITER_LIMIT / length;
+      my *= MITER_LIMIT / length;
+    }
+
+    result.push({ x: p.x + mx * offset, y: p.y + my * offset });
+  }
+
+  return result;
+};
+
+/**
+ * Outline polygon of a wall: one face forward, the other face backward.
+ * Closed walls return two rings `[outer, inner]` instead.
+ */
+export const getWallOutline = (wall) => {
+  const points = dedupePoints(wall.points || []);
+  if (points.length < 2) return [];
+
+  const [offsetA, offsetB] = getWallOffsets(wall.thickness, wall.alignment);
+  const faceA = offsetPolyline(points, offsetA, wall.closed);
+  const faceB = offsetPolyline(points, offsetB, wall.closed);
+
+  if (wall.closed) {
+    return [faceA, faceB];
+  }
+
+  return [[...faceA, ...faceB.reverse()]];
+};
+
+// Segments of the wall's drawn path, including the closing one
+export const getWallSegments = (wall) => getSegments(wall.points || [], wall.closed);
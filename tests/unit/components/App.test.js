@@ -0,0 +1,218 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mount, flushPromises } from '@vue/test-utils';
+import { SCHEMA_VERSION } from '../../../src/utils/migrations';
+import { createDimension } from '../../../src/utils/dimensions';
+
+// App talks to IndexedDB only through the database service; nothing is stored here.
+// The implementations are passed to vi.fn so that restoring the mocks keeps them.
+vi.mock('../../../src/services/DatabaseService', () => ({
+  default: {
+    getDraft: vi.fn(async () => undefined),
+    saveDraft: vi.fn(async () => undefined),
+    clearDraft: vi.fn(async () => true),
+    getProjectById: vi.fn(async () => undefined),
+    getAllProjects: vi.fn(async () => []),
+    getRevisions: vi.fn(async () => []),
+    getRevisionRetention: vi.fn(() => ({ keep: 20, maxAgeDays: 30 }))
+  }
+}));
+
+import dbService from '../../../src/services/DatabaseService';
+import App from '../../../src/App.vue';
+
+// A 2D context whose every method is a no-op
+const mockContext = new Proxy({}, {
+  get: (target, key) => (key in target ? target[key] : (target[key] = vi.fn())),
+  set: (target, key, value) => {
+    target[key] = value;
+    return true;
+  }
+});
+
+describe('App.vue', () => {
+  let wrapper;
+  let app;
+
+  beforeEach(() => {
+    HTMLCanvasElement.prototype.getContext = vi.fn().mockReturnValue(mockContext);
+    vi.spyOn(window, 'alert').mockImplementation(() => {});
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    wrapper = mount(App, { attachTo: document.body });
+    app = wrapper.vm.$.setupState;
+  });
+
+  afterEach(() => {
+    wrapper.unmount();
+    vi.restoreAllMocks();
+  });
+
+  // Pick a file in the DXF import's file input
+  const importDxfText = (text) => app.handleDxfFile({
+    target: { files: [{ name: 'plan.dxf', text: async () => text }], value: '' }
+  });
+
+  // Minimal DXF with the given entity records
+  const dxf = (...entities) => ['0', 'SECTION', '2', 'ENTITIES', ...entities.flat(), '0', 'ENDSEC', '0', 'EOF'].join('\n');
+
+  it('should undo a vertex edit together with the openings moved along with it', () => {
+    const wall = {
+      id: 'wall-1',
+      type: 'wall',
+      points: [{ x: 0, y: 0 }, { x: 200, y: 0 }, { x: 200, y: 100 }],
+      thickness: 10,
+      alignment: 'center',
+      closed: false
+    };
+    const door = { id: 'door-1', type: 'door', hostId: 'wall-1', segment: 1, position: 0.5, width: 40, hinge: 'start', side: 'left' };
+    app.shapes = [wall, door];
+
+    // A vertex inserted on the first segment renumbers the one the door is on
+    app.handleShapeUpdated({ ...wall, points: [wall.points[0], { x: 100, y: 0 }, ...wall.points.slice(1)] });
+    expect(app.shapes.find(shape => shape.id === 'door-1').segment).toBe(2);
+
+    app.undo();
+    expect(app.shapes).toEqual([wall, door]);
+  });
+
+  it('should undo a vertex edit together with the dimensions it detached', () => {
+    const wall = {
+      id: 'wall-1',
+      type: 'wall',
+      points: [{ x: 0, y: 0 }, { x: 200, y: 0 }],
+      thickness: 10,
+      alignment: 'center',
+      closed: false
+    };
+    const anchors = [{ shapeId: 'wall-1', index: 0 }, { shapeId: 'wall-1', index: 1 }];
+    const dimension = { id: 'dim-1', ...createDimension({ x: 0, y: 0 }, { x: 200, y: 0 }, { kind: 'aligned', offset: 20 }, anchors) };
+    app.shapes = [wall, dimension];
+
+    app.handleShapeUpdated({ ...wall, points: [wall.points[0], { x: 100, y: 0 }, wall.points[1]] });
+    expect(app.shapes.find(shape => shape.id === 'dim-1').anchors).toEqual([null, null]);
+
+    app.undo();
+    expect(app.shapes).toEqual([wall, dimension]);
+  });
+
+  it('should keep the undo history of a level while another one is open', () => {
+    const box = { id: 'box-1', type: 'rectangle', x: 0, y: 0, width: 100, height: 50 };
+    const ground = app.activeLevel.id;
+    app.handleShapeAdded(box);
+
+    // A new level starts with nothing to undo
+    app.handleAddLevel();
+    expect(app.activeLevel.id).not.toBe(ground);
+    expect(app.canUndo).toBe(false);
+
+    app.switchLevel(ground);
+    expect(app.canUndo).toBe(true);
+    app.undo();
+    expect(app.shapes).toEqual([]);
+    app.redo();
+    expect(app.shapes).toEqual([box]);
+  });
+
+  it('should undo a DXF import together with the layers it added', async () => {
+    const layersBefore = app.layers;
+    await importDxfText(dxf(['0', 'LINE', '8', 'Walls', '10', '0', '20', '0', '11', '2', '21', '0']));
+
+    expect(app.shapes).toHaveLength(1);
+    expect(app.layers.map(layer => layer.name)).toEqual([...layersBefore.map(layer => layer.name), 'Walls']);
+
+    app.undo();
+    expect(app.shapes).toEqual([]);
+    expect(app.layers).toEqual(layersBefore);
+
+    app.redo();
+    expect(app.layers.map(layer => layer.name)).toContain('Walls');
+    expect(app.shapes[0].layerId).toBe(app.layers.find(layer => layer.name === 'Walls').id);
+  });
+
+  it('should leave the layers alone when a DXF import adds no shapes', async () => {
+    const layersBefore = app.layers;
+    await importDxfText(dxf(['0', 'SPLINE', '8', 'Curves']));
+
+    expect(app.shapes).toEqual([]);
+    expect(app.layers).toBe(layersBefore);
+    expect(window.alert).toHaveBeenCalledWith(expect.stringContaining('Skipped unsupported entities: 1 SPLINE'));
+  });
+
+  it('should go back to 100% from the toolbar', async () => {
+    app.drawingCanvas.setViewport({ x: 40, y: -25, zoom: 2.5 });
+    await wrapper.vm.$nextTick();
+    expect(app.zoom).toBe(2.5);
+
+    await wrapper.find('button[title^="Back to 100%"]').trigger('click');
+    expect(app.zoom).toBe(1);
+    expect(app.viewport).toMatchObject({ x: 0, y: 0, zoom: 1 });
+  });
+
+  // Press a key on the page; true when the app kept it from its default action
+  const pressKey = (key, init = {}) => {
+    const event = new KeyboardEvent('keydown', { key, cancelable: true, ...init });
+    window.dispatchEvent(event);
+    return event.defaultPrevented;
+  };
+
+  it('should leave keys to the browser when their command has nothing to do', async () => {
+    const box = { id: 'box-1', type: 'rectangle', x: 0, y: 0, width: 100, height: 50 };
+    app.shapes = [box];
+
+    // Arrows scroll the page while nothing is selected
+    expect(pressKey('ArrowLeft')).toBe(false);
+    expect(pressKey('z', { ctrlKey: true })).toBe(false);
+    expect(pressKey('Enter')).toBe(false);
+
+    app.selectedShapes = [box];
+    expect(pressKey('ArrowLeft')).toBe(true);
+    expect(app.shapes[0].x).toBe(-1);
+    expect(pressKey('z', { ctrlKey: true })).toBe(true);
+    expect(app.shapes[0].x).toBe(0);
+  });
+
+  describe('draft recovery', () => {
+    const draft = {
+      id: 'current',
+      projectId: 'house',
+      name: 'House',
+      levels: [{ id: 'g', name: 'Ground Floor', height: 3, shapes: [] }],
+      updated: '2024-05-01T00:00:00.000Z',
+      schemaVersion: SCHEMA_VERSION
+    };
+
+    // Mount again, for the draft the database service is set up to return
+    const remount = async () => {
+      wrapper.unmount();
+      vi.clearAllMocks();
+      wrapper = mount(App, { attachTo: document.body });
+      await flushPromises();
+    };
+
+    it('should offer to discard a draft saved by a newer version of the app', async () => {
+      dbService.getDraft.mockResolvedValueOnce({ ...draft, schemaVersion: SCHEMA_VERSION + 1 });
+      await remount();
+
+      expect(window.confirm).toHaveBeenLastCalledWith(expect.stringContaining('saved by a newer version of Building Planner'));
+      expect(window.confirm).toHaveBeenLastCalledWith(expect.stringContaining('Discard them?'));
+      expect(dbService.clearDraft).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep a draft it could not recover unless told to discard it', async () => {
+      dbService.getDraft.mockResolvedValueOnce(draft);
+      dbService.getProjectById.mockRejectedValueOnce(new Error('The database is closed'));
+      window.confirm.mockReturnValue(false);
+      await remount();
+
+      expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining('Could not recover the unsaved changes: The database is closed'));
+      expect(dbService.clearDraft).not.toHaveBeenCalled();
+    });
+
+    it('should show why the draft could not be read', async () => {
+      dbService.getDraft.mockRejectedValueOnce(new Error('The database is closed'));
+      await remount();
+
+      expect(window.alert).toHaveBeenCalledWith('Could not read the unsaved changes: The database is closed');
+      expect(window.confirm).not.toHaveBeenCalled();
+    });
+  });
+});
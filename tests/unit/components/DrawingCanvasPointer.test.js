@@ -0,0 +1,220 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mount } from '@vue/test-utils';
+import DrawingCanvas from '../../../src/components/DrawingCanvas.vue';
+
+// A 2D context whose every method is a no-op
+const mockContext = new Proxy({}, {
+  get: (target, key) => (key in target ? target[key] : (target[key] = vi.fn())),
+  set: (target, key, value) => {
+    target[key] = value;
+    return true;
+  }
+});
+
+describe('DrawingCanvas.vue pointer input', () => {
+  let wrapper;
+  let canvas;
+
+  const mountCanvas = (props = {}) => {
+    wrapper = mount(DrawingCanvas, {
+      props: { activeTool: 'select', shapes: [], ...props },
+      attachTo: document.body
+    });
+    canvas = wrapper.find('canvas').element;
+  };
+
+  // Dispatch a synthetic pointer event; snapping is off (Alt) so points land where they are sent
+  const pointer = (type, x, y, init = {}) => {
+    canvas.dispatchEvent(new PointerEvent(type, {
+      clientX: x,
+      clientY: y,
+      pointerId: 1,
+      pointerType: 'mouse',
+      button: 0,
+      altKey: true,
+      bubbles: true,
+      ...init
+    }));
+  };
+
+  const lastEmitted = (event) => {
+    const calls = wrapper.emitted(event) || [];
+    return calls[calls.length - 1]?.[0];
+  };
+
+  beforeEach(() => {
+    HTMLCanvasElement.prototype.getContext = vi.fn().mockReturnValue(mockContext);
+    HTMLCanvasElement.prototype.setPointerCapture = vi.fn();
+  });
+
+  afterEach(() => {
+    wrapper?.unmount();
+    vi.useRealTimers();
+  });
+
+  it('should capture the pointer and keep dragging outside the canvas', () => {
+    mountCanvas({ activeTool: 'rectangle' });
+    const pen = { pointerId: 7, pointerType: 'pen' };
+
+    pointer('pointerdown', 100, 100, pen);
+    expect(canvas.setPointerCapture).toHaveBeenCalledWith(7);
+
+    pointer('pointermove', 250, 200, pen);
+    pointer('pointerleave', 250, 200, pen);
+    pointer('pointermove', 300, 250, pen);
+    pointer('pointerup', 300, 250, pen);
+
+    expect(wrapper.emitted('shape-added')).toHaveLength(1);
+    expect(lastEmitted('shape-added')).toMatchObject({ type: 'rectangle', x: 100, y: 100, width: 200, height: 150 });
+  });
+
+  it('should pinch-zoom and pan with two fingers instead of drawing', async () => {
+    mountCanvas({ activeTool: 'rectangle' });
+    const first = { pointerId: 1, pointerType: 'touch' };
+    const second = { pointerId: 2, pointerType: 'touch' };
+
+    pointer('pointerdown', 100, 100, first);
+    pointer('pointerdown', 200, 100, second);
+    // Spread the fingers to twice the distance, with their middle moved right by 50
+    pointer('pointermove', 300, 100, second);
+    pointer('pointerup', 300, 100, second);
+    pointer('pointermove', 120, 140, first);
+    pointer('pointerup', 120, 140, first);
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.emitted('shape-added')).toBeUndefined();
+    // The world point under the starting middle (150, 100) is now under the new middle (200, 100)
+    expect(lastEmitted('viewport-change')).toEqual({ x: -100, y: -100, zoom: 2 });
+  });
+
+  it('should use a long press to add a shape to the selection', () => {
+    vi.useFakeTimers();
+    const a = { id: 'a', type: 'rectangle', x: 0, y: 0, width: 50, height: 50 };
+    const b = { id: 'b', type: 'rectangle', x: 100, y: 100, width: 50, height: 50 };
+    mountCanvas({ shapes: [a, b], selectedShapes: [a] });
+    const finger = { pointerType: 'touch' };
+
+    pointer('pointerdown', 125, 125, finger);
+    expect(lastEmitted('selection-change')).toEqual([b]);
+
+    vi.advanceTimersByTime(500);
+    pointer('pointerup', 125, 125, finger);
+
+    expect(lastEmitted('selection-change')).toEqual([a, b]);
+    expect(wrapper.emitted('shapes-updated')).toBeUndefined();
+  });
+
+  it('should not long press once the finger has moved', () => {
+    vi.useFakeTimers();
+    mountCanvas({ activeTool: 'wall' });
+    const finger = { pointerType: 'touch' };
+
+    pointer('pointerdown', 100, 100, finger);
+    pointer('pointerup', 100, 100, finger);
+    pointer('pointerdown', 200, 100, finger);
+    pointer('pointermove', 220, 100, finger);
+    vi.advanceTimersByTime(500);
+    expect(wrapper.emitted('shape-added')).toBeUndefined();
+
+    // Held still, the press finishes the wall like a right-click
+    pointer('pointerup', 220, 100, finger);
+    pointer('pointerdown', 300, 100, finger);
+    vi.advanceTimersByTime(500);
+    pointer('pointerup', 300, 100, finger);
+
+    expect(lastEmitted('shape-added')).toMatchObject({
+      type: 'wall',
+      points: [{ x: 100, y: 100 }, { x: 200, y: 100 }, { x: 300, y: 100 }]
+    });
+  });
+
+  it('should finish a wall with a right-click', () => {
+    mountCanvas({ activeTool: 'wall' });
+
+    pointer('pointerdown', 100, 100);
+    pointer('pointerup', 100, 100);
+    pointer('pointerdown', 200, 100);
+    pointer('pointerup', 200, 100);
+    pointer('pointerdown', 200, 100, { button: 2 });
+    pointer('pointerup', 200, 100, { button: 2 });
+
+    expect(lastEmitted('shape-added')).toMatchObject({
+      type: 'wall',
+      points: [{ x: 100, y: 100 }, { x: 200, y: 100 }]
+    });
+  });
+
+  it('should pick the shape drawn on top, on the higher layer', () => {
+    const layers = [
+      { id: 'top', name: 'Top', visible: true, locked: false, color: null, fillColor: null },
+      { id: 'bottom', name: 'Bottom', visible: true, locked: false, color: null, fillColor: null }
+    ];
+    const upper = { id: 'upper', type: 'rectangle', x: 100, y: 100, width: 100, height: 100, layerId: 'top' };
+    const lower = { id: 'lower', type: 'rectangle', x: 150, y: 150, width: 100, height: 100, layerId: 'bottom' };
+    const later = { id: 'later', type: 'rectangle', x: 150, y: 100, width: 100, height: 50, layerId: 'top' };
+    mountCanvas({ shapes: [upper, lower, later], layers });
+
+    // Where the two layers overlap, the top layer wins even though its shape comes first
+    pointer('pointerdown', 175, 175);
+    pointer('pointerup', 175, 175);
+    expect(lastEmitted('selection-change')).toEqual([upper]);
+
+    // On the same layer, the shape drawn last is on top
+    pointer('pointerdown', 175, 125);
+    pointer('pointerup', 175, 125);
+    expect(lastEmitted('selection-change')).toEqual([later]);
+  });
+
+  it('should give fingers a larger handle hit area than the mouse', () => {
+    const shape = { id: 'r', type: 'rectangle', x: 100, y: 100, width: 100, height: 100 };
+    mountCanvas({ shapes: [shape], selectedShapes: [shape] });
+
+    // 18px off the bottom-right corner: out of reach of the mouse, within reach of a finger
+    pointer('pointerdown', 218, 218);
+    pointer('pointerup', 218, 218);
+    expect(wrapper.emitted('edit-start')).toBeUndefined();
+
+    pointer('pointerdown', 218, 218, { pointerType: 'touch', pointerId: 2 });
+    pointer('pointermove', 250, 250, { pointerType: 'touch', pointerId: 2 });
+    pointer('pointerup', 250, 250, { pointerType: 'touch', pointerId: 2 });
+
+    expect(lastEmitted('edit-start')).toBe('Resize rectangle');
+    expect(lastEmitted('shape-updated')).toMatchObject({ x: 100, y: 100, width: 150, height: 150 });
+  });
+
+  it('should keep a line at 45° steps with Shift, up to where it is let go', () => {
+    mountCanvas({ activeTool: 'line' });
+    const shift = { shiftKey: true };
+
+    pointer('pointerdown', 100, 100, shift);
+    pointer('pointermove', 250, 60, shift);
+    pointer('pointerup', 300, 108, shift);
+
+    expect(lastEmitted('shape-added')).toMatchObject({ type: 'line', startX: 100, startY: 100, endX: 300, endY: 100 });
+  });
+
+  it('should draw a square rectangle with Shift', () => {
+    mountCanvas({ activeTool: 'rectangle' });
+
+    pointer('pointerdown', 100, 100, { shiftKey: true });
+    pointer('pointerup', 250, 180, { shiftKey: true });
+
+    expect(lastEmitted('shape-added')).toMatchObject({ x: 100, y: 100, width: 150, height: 150 });
+  });
+
+  it('should line the point being drawn up with other shapes', () => {
+    const box = { id: 'box', type: 'rectangle', x: 200, y: 200, width: 100, height: 60 };
+    mountCanvas({
+      activeTool: 'line',
+      shapes: [box],
+      grid: { show: false, spacing: 25, snapToGrid: false, snapToGeometry: true }
+    });
+    const snapping = { altKey: false };
+
+    pointer('pointerdown', 50, 50, snapping);
+    pointer('pointerup', 247, 120, snapping);
+
+    // Straight above the middle of the box
+    expect(lastEmitted('shape-added')).toMatchObject({ startX: 50, startY: 50, endX: 250, endY: 120 });
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mount, flushPromises } from '@vue/test-utils';
+import { SCHEMA_VERSION } from '../../../src/utils/migrations';
+
+vi.mock('../../../src/services/DatabaseService', () => ({
+  default: {
+    getAllProjects: vi.fn(),
+    saveProject: vi.fn()
+  }
+}));
+
+import dbService from '../../../src/services/DatabaseService';
+import DrawingManager from '../../../src/components/DrawingManager.vue';
+
+describe('DrawingManager.vue', () => {
+  const project = {
+    id: 'house',
+    name: 'House',
+    levels: [{ id: 'g', name: 'Ground Floor', height: 3, shapes: [] }],
+    lastModified: '2024-01-01T00:00:00.000Z',
+    schemaVersion: SCHEMA_VERSION
+  };
+
+  beforeEach(() => {
+    dbService.getAllProjects.mockResolvedValue([project]);
+    vi.spyOn(window, 'confirm');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // Open the Load dialog and click the saved drawing
+  const clickDrawing = async (props) => {
+    const wrapper = mount(DrawingManager, { props });
+    wrapper.vm.openManager('load');
+    await flushPromises();
+    await wrapper.find('.drawing-item').trigger('click');
+    return wrapper;
+  };
+
+  it('should load a drawing straight away when nothing is unsaved', async () => {
+    const wrapper = await clickDrawing({ hasUnsavedChanges: false });
+
+    expect(window.confirm).not.toHaveBeenCalled();
+    expect(wrapper.emitted('load-project')).toEqual([[project]]);
+  });
+
+  it('should ask before loading over unsaved changes', async () => {
+    window.confirm.mockReturnValue(false);
+    const wrapper = await clickDrawing({ hasUnsavedChanges: true });
+
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining('unsaved changes'));
+    expect(wrapper.emitted('load-project')).toBeUndefined();
+    expect(wrapper.find('.drawing-item').exists()).toBe(true);
+
+    window.confirm.mockReturnValue(true);
+    await wrapper.find('.drawing-item').trigger('click');
+    expect(wrapper.emitted('load-project')).toEqual([[project]]);
+  });
+
+  it('should not save a drawing without a name', async () => {
+    const wrapper = mount(DrawingManager);
+    wrapper.vm.openManager('save');
+    await wrapper.vm.$nextTick();
+    await wrapper.find('#drawing-name').setValue('  ');
+
+    expect(await wrapper.vm.saveProject(project.levels)).toBe(false);
+    expect(dbService.saveProject).not.toHaveBeenCalled();
+    expect(wrapper.find('.error-message').text()).toBe('Please enter a drawing name.');
+  });
+});
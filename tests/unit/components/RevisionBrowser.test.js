@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { mount, flushPromises } from '@vue/test-utils';
+import { SCHEMA_VERSION } from '../../../src/utils/migrations';
+import { circleToEllipse } from '../../../src/utils/ellipses';
+
+vi.mock('../../../src/services/DatabaseService', () => ({
+  default: {
+    getRevisions: vi.fn(),
+    saveProject: vi.fn(),
+    getRevisionRetention: vi.fn().mockReturnValue({ keep: 20, maxAgeDays: 30 })
+  }
+}));
+
+import dbService from '../../../src/services/DatabaseService';
+import RevisionBrowser from '../../../src/components/RevisionBrowser.vue';
+
+describe('RevisionBrowser.vue', () => {
+  const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 100, height: 50 };
+  const circle = { id: 'c', type: 'circle', x: 0, y: 0, width: 100, height: 60 };
+  const project = {
+    id: 'house',
+    name: 'House',
+    levels: [{ id: 'g', name: 'Ground Floor', height: 3, shapes: [rect, circleToEllipse(circle)] }],
+    schemaVersion: SCHEMA_VERSION
+  };
+  // Saved before circles became ellipses, with the same two shapes
+  const oldRevision = {
+    id: 'rev-1',
+    projectId: 'house',
+    created: '2024-01-01T00:00:00.000Z',
+    note: '',
+    levels: [{ id: 'g', name: 'Ground Floor', height: 3, shapes: [rect, circle] }],
+    schemaVersion: 1
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const mountBrowser = async (revisions, props = {}) => {
+    dbService.getRevisions.mockResolvedValue(revisions);
+    const wrapper = mount(RevisionBrowser, { props: { project, ...props } });
+    await flushPromises();
+    return wrapper;
+  };
+
+  it('should compare and preview revisions upgraded to the current schema', async () => {
+    const wrapper = await mountBrowser([oldRevision]);
+
+    expect(wrapper.find('.changes').text()).toContain('The shapes are the same as in the current version.');
+    // The old circle, as wide as its larger side, centered in its box
+    const preview = decodeURIComponent(wrapper.find('.preview img').attributes('src'));
+    expect(preview).toContain('<circle cx="50" cy="30" r="50"');
+  });
+
+  it('should upgrade an older current version before comparing', async () => {
+    const oldProject = { ...project, levels: oldRevision.levels, schemaVersion: 1 };
+    const revision = { ...oldRevision, levels: project.levels, schemaVersion: SCHEMA_VERSION };
+    const wrapper = await mountBrowser([revision], { project: oldProject });
+
+    expect(wrapper.find('.changes').text()).toContain('The shapes are the same as in the current version.');
+  });
+
+  it('should leave out revisions saved by a newer version of the app', async () => {
+    const newer = { ...oldRevision, id: 'rev-2', schemaVersion: SCHEMA_VERSION + 1 };
+    const wrapper = await mountBrowser([newer, oldRevision]);
+
+    expect(wrapper.findAll('.revision-list li')).toHaveLength(1);
+    expect(wrapper.find('.error-message').text()).toContain('1 revision(s) were saved by a newer version');
+  });
+
+  it('should not restore or branch over unsaved changes without asking', async () => {
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const wrapper = await mountBrowser([oldRevision], { hasUnsavedChanges: true });
+
+    // Yes to replacing the saved version, no to losing the unsaved changes
+    confirm.mockReturnValueOnce(true).mockReturnValueOnce(false);
+    await wrapper.find('.primary-button').trigger('click');
+    confirm.mockReturnValueOnce(false);
+    await wrapper.find('.secondary-button').trigger('click');
+    await flushPromises();
+
+    expect(confirm).toHaveBeenLastCalledWith(expect.stringContaining('unsaved changes'));
+    expect(dbService.saveProject).not.toHaveBeenCalled();
+    expect(wrapper.emitted('load-project')).toBeUndefined();
+
+    dbService.saveProject.mockResolvedValue({ ...project, id: 'branch' });
+    await wrapper.find('.secondary-button').trigger('click');
+    await flushPromises();
+    expect(wrapper.emitted('load-project')).toHaveLength(1);
+    confirm.mockRestore();
+  });
+});
@@ -1,330 +1,325 @@
 /**
  * Mock implementation of IndexedDB for testing
+ *
+ * Requests call both `on<type>` handlers and listeners added with
+ * addEventListener. Opening a database with a higher version runs an upgrade:
+ * `upgradeneeded` carries `oldVersion` and the upgrade transaction, and
+ * `success` only fires once every request made in that transaction is done,
+ * as in a browser. Other opens of the same database wait for the upgrade.
  */
 
 // Custom event class for our mock that allows setting target
 class MockEvent {
-  constructor(type) {
+  constructor(type, init = {}) {
     this.type = type;
     this._target = null;
     this._defaultPrevented = false;
+    Object.assign(this, init);
   }
-  
+
   get target() {
     return this._target;
   }
-  
+
   set target(value) {
     this._target = value;
   }
-  
+
   preventDefault() {
     this._defaultPrevented = true;
   }
-  
+
   get defaultPrevented() {
     return this._defaultPrevented;
   }
 }
 
+class MockRequest {
+  constructor(transaction = null) {
+    this.listeners = {};
+    this.result = undefined;
+    this.error = null;
+    this.transaction = transaction;
+  }
+
+  addEventListener(type, callback) {
+    (this.listeners[type] = this.listeners[type] || []).push(callback);
+  }
+
+  removeEventListener(type, callback) {
+    this.listeners[type] = (this.listeners[type] || []).filter(listener => listener !== callback);
+  }
+
+  dispatchEvent(event) {
+    event.target = this;
+    this[`on${event.type}`]?.call(this, event);
+    for (const listener of this.listeners[event.type] || []) {
+      listener.call(this, event);
+    }
+    return !event.defaultPrevented;
+  }
+
+  succeed(result) {
+    this.result = result;
+    this.dispatchEvent(new MockEvent('success'));
+  }
+
+  fail(error) {
+    this.error = error;
+    this.dispatchEvent(new MockEvent('error'));
+  }
+}
+
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
 export class IndexedDBMock {
   constructor() {
     this.databases = new Map();
     this.stores = new Map();
     this.data = new Map();
+    // Upgrades in progress, by database name
+    this.upgrades = new Map();
   }
 
   // Setup global mock
   static setup() {
     const mockDB = new IndexedDBMock();
-    
+
     // Save original indexedDB if it exists
-    if (typeof globalThis.originalIndexedDB === 'undefined') {
+    if (!('originalIndexedDB' in globalThis)) {
       globalThis.originalIndexedDB = globalThis.indexedDB;
     }
-    
+
     // Mock indexedDB API
     globalThis.indexedDB = {
       open: mockDB.open.bind(mockDB),
       deleteDatabase: mockDB.deleteDatabase.bind(mockDB),
       _mock: mockDB // For test access
     };
-    
+
     return mockDB;
   }
 
   // Restore original implementation
   static restore() {
-    if (typeof globalThis.originalIndexedDB !== 'undefined') {
+    if ('originalIndexedDB' in globalThis) {
       globalThis.indexedDB = globalThis.originalIndexedDB;
       delete globalThis.originalIndexedDB;
     }
   }
 
   open(name, version) {
-    const request = new EventTarget();
-    
-    setTimeout(() => {
+    const request = new MockRequest();
+
+    setTimeout(async () => {
+      // Wait for another connection's upgrade to finish
+      await this.upgrades.get(name);
+
       if (!this.databases.has(name)) {
-        this.databases.set(name, { name, version, objectStoreNames: [] });
+        this.databases.set(name, { name, version: 0, objectStoreNames: [] });
         this.stores.set(name, new Map());
         this.data.set(name, new Map());
-        
-        const event = new MockEvent('upgradeneeded');
-        event.target = { result: this._createDBConnection(name) };
-        request.dispatchEvent(event);
       }
-      
-      const event = new MockEvent('success');
-      event.target = { result: this._createDBConnection(name) };
-      request.dispatchEvent(event);
+
+      const db = this.databases.get(name);
+      const requested = version ?? Math.max(db.version, 1);
+      if (requested < db.version) {
+        request.fail(new Error(`The requested version (${requested}) is less than the existing version (${db.version})`));
+        return;
+      }
+
+      const connection = this._createDBConnection(name);
+      if (requested > db.version) {
+        const oldVersion = db.version;
+        db.version = requested;
+
+        const transaction = this._createTransaction(name);
+        const upgraded = new Promise((resolve) => {
+          transaction.onfinish = resolve;
+        });
+        this.upgrades.set(name, upgraded);
+
+        request.result = connection;
+        request.transaction = transaction;
+        request.dispatchEvent(new MockEvent('upgradeneeded', { oldVersion, newVersion: requested }));
+        transaction.settle();
+
+        await upgraded;
+        this.upgrades.delete(name);
+        request.transaction = null;
+      }
+
+      request.succeed(connection);
     }, 0);
-    
+
     return request;
   }
 
   deleteDatabase(name) {
-    const request = new EventTarget();
-    
+    const request = new MockRequest();
+
     setTimeout(() => {
       this.databases.delete(name);
       this.stores.delete(name);
       this.data.delete(name);
-      
-      const event = new MockEvent('success');
-      request.dispatchEvent(event);
+      request.succeed(undefined);
     }, 0);
-    
+
     return request;
   }
 
+  // Records of a store, for test access
+  getRecords(dbName, storeName) {
+    return Array.from(this.data.get(dbName)?.get(storeName)?.values() || []).map(copy);
+  }
+
   _createDBConnection(dbName) {
     const db = this.databases.get(dbName);
     const dbStores = this.stores.get(dbName);
     const dbData = this.data.get(dbName);
-    
+
     return {
       name: db.name,
-      version: db.version,
-      objectStoreNames: {
-        contains: (name) => db.objectStoreNames.includes(name)
+      get version() {
+        return db.version;
+      },
+      // A list of names, like DOMStringList
+      get objectStoreNames() {
+        return Object.assign([...db.objectStoreNames], {
+          contains: (name) => db.objectStoreNames.includes(name)
+        });
       },
-      
+
       createObjectStore: (name, { keyPath }) => {
         db.objectStoreNames.push(name);
         dbStores.set(name, { name, keyPath, indexes: {} });
         dbData.set(name, new Map());
-        
+
         return {
           createIndex: (indexName, keyPath, { unique }) => {
             dbStores.get(name).indexes[indexName] = { name: indexName, keyPath, unique };
           }
         };
       },
-      
-      transaction: (storeNames, mode) => {
+
+      transaction: () => this._createTransaction(dbName),
+
+      close: () => {}
+    };
+  }
+
+  // A transaction across all of a database's stores. Each request runs on its
+  // own tick; once none are left, `onfinish` is called.
+  _createTransaction(dbName) {
+    const dbStores = this.stores.get(dbName);
+    const dbData = this.data.get(dbName);
+    let pending = 0;
+
+    const transaction = {
+      onfinish: () => {},
+
+      // Finish now if nothing was requested
+      settle: () => {
+        if (pending === 0) transaction.onfinish();
+      },
+
+      objectStore: (storeName) => {
+        const store = dbStores.get(storeName);
+        const storeData = dbData.get(storeName);
+        if (!store) {
+          throw new Error(`No object store named ${storeName}`);
+        }
+
+        // Run `operation` on a later tick and report its result on the request
+        const schedule = (operation) => {
+          const request = new MockRequest(transaction);
+          pending++;
+
+          setTimeout(() => {
+            try {
+              request.succeed(operation());
+            } catch (error) {
+              request.fail(error);
+            }
+            pending--;
+            transaction.settle();
+          }, 0);
+
+          return request;
+        };
+
+        const put = (item) => {
+          const keyValue = item[store.keyPath];
+          if (keyValue === undefined) {
+            throw new Error('The record has no key');
+          }
+          storeData.set(keyValue, copy(item));
+          return keyValue;
+        };
+
+        const matching = (indexName, key) => {
+          const { keyPath } = store.indexes[indexName];
+          return Array.from(storeData.values()).filter(value => value[keyPath] === key);
+        };
+
         return {
-          objectStore: (storeName) => {
-            const store = dbStores.get(storeName);
-            const storeData = dbData.get(storeName);
-            
-            return {
-              add: (item) => {
-                const request = new EventTarget();
-                
-                setTimeout(() => {
-                  try {
-                    const keyValue = item[store.keyPath];
-                    if (storeData.has(keyValue)) {
-                      const error = new Error('Key already exists');
-                      const event = new MockEvent('error');
-                      event.target = { error };
-                      request.dispatchEvent(event);
-                      return;
-                    }
-                    
-                    storeData.set(keyValue, { ...item });
-                    const event = new MockEvent('success');
-                    event.target = { result: keyValue };
-                    request.dispatchEvent(event);
-                  } catch (error) {
-                    const event = new MockEvent('error');
-                    event.target = { error };
-                    request.dispatchEvent(event);
-                  }
-                }, 0);
-                
-                return request;
-              },
-              
-              put: (item) => {
-                const request = new EventTarget();
-                
-                setTimeout(() => {
-                  try {
-                    const keyValue = item[store.keyPath];
-                    storeData.set(keyValue, { ...item });
-                    const event = new MockEvent('success');
-                    event.target = { result: keyValue };
-                    request.dispatchEvent(event);
-                  } catch (error) {
-                    const event = new MockEvent('error');
-                    event.target = { error };
-                    request.dispatchEvent(event);
-                  }
-                }, 0);
-                
-                return request;
-              },
-              
-              get: (key) => {
-                const request = new EventTarget();
-                
-                setTimeout(() => {
-                  try {
-                    const item = storeData.get(key);
-                    const event = new MockEvent('success');
-                    event.target = { result: item ? { ...item } : undefined };
-                    request.dispatchEvent(event);
-                  } catch (error) {
-                    const event = new MockEvent('error');
-                    event.target = { error };
-                    request.dispatchEvent(event);
-                  }
-                }, 0);
-                
-                return request;
-              },
-              
-              delete: (key) => {
-                const request = new EventTarget();
-                
-                setTimeout(() => {
-                  try {
-                    storeData.delete(key);
-                    const event = new MockEvent('success');
-                    request.dispatchEvent(event);
-                  } catch (error) {
-                    const event = new MockEvent('error');
-                    event.target = { error };
-                    request.dispatchEvent(event);
-                  }
-                }, 0);
-                
-                return request;
-              },
-              
-              index: (indexName) => {
-                const index = store.indexes[indexName];
-                
-                return {
-                  get: (key) => {
-                    const request = new EventTarget();
-                    
-                    setTimeout(() => {
-                      try {
-                        let result;
-                        storeData.forEach((value) => {
-                          if (value[index.keyPath] === key) {
-                            result = value;
-                          }
-                        });
-                        
-                        const event = new MockEvent('success');
-                        event.target = { result: result ? { ...result } : undefined };
-                        request.dispatchEvent(event);
-                      } catch (error) {
-                        const event = new MockEvent('error');
-                        event.target = { error };
-                        request.dispatchEvent(event);
-                      }
-                    }, 0);
-                    
-                    return request;
-                  }
-                };
-              },
-              
-              openCursor: () => {
-                const request = new EventTarget();
-                const entries = Array.from(storeData.entries());
-                let index = 0;
-                
-                setTimeout(() => {
-                  try {
-                    const nextCursor = () => {
-                      if (index < entries.length) {
-                        const [key, value] = entries[index++];
-                        const event = new MockEvent('success');
-                        event.target = {
-                          result: {
-                            value: { ...value },
-                            continue: () => {
-                              setTimeout(nextCursor, 0);
-                            }
-                          }
-                        };
-                        request.dispatchEvent(event);
-                      } else {
-                        const event = new MockEvent('success');
-                        event.target = { result: null };
-                        request.dispatchEvent(event);
-                      }
-                    };
-                    
-                    nextCursor();
-                  } catch (error) {
-                    const event = new MockEvent('error');
-                    event.target = { error };
-                    request.dispatchEvent(event);
-                  }
-                }, 0);
-                
-                return request;
+          add: (item) => schedule(() => {
+            if (storeData.has(item[store.keyPath])) {
+              throw new Error('Key already exists');
+            }
+            return put(item);
+          }),
+
+          put: (item) => schedule(() => put(item)),
+
+          get: (key) => schedule(() => copy(storeData.get(key))),
+
+          delete: (key) => schedule(() => {
+            storeData.delete(key);
+          }),
+
+          index: (indexName) => ({
+            get: (key) => schedule(() => copy(matching(indexName, key)[0])),
+            getAll: (key) => schedule(() => matching(indexName, key).map(copy))
+          }),
+
+          openCursor: () => {
+            const keys = Array.from(storeData.keys());
+            let index = 0;
+
+            // The cursor is the result of the same request each time it moves
+            const next = () => {
+              while (index < keys.length && !storeData.has(keys[index])) {
+                index++;
               }
+              if (index >= keys.length) return null;
+
+              const key = keys[index++];
+              return {
+                key,
+                value: copy(storeData.get(key)),
+                update: (value) => schedule(() => put(value)),
+                delete: () => schedule(() => {
+                  storeData.delete(key);
+                }),
+                continue: () => {
+                  pending++;
+                  setTimeout(() => {
+                    request.succeed(next());
+                    pending--;
+                    transaction.settle();
+                  }, 0);
+                }
+              };
             };
+
+            const request = schedule(next);
+            return request;
           }
         };
       }
     };
-  }
-}
 
-// No need to extend Event since we're using our own MockEvent implementation
-
-// EventTarget polyfill for environments that don't have it
-if (typeof EventTarget === 'undefined') {
-  globalThis.EventTarget = class EventTarget {
-    constructor() {
-      this.listeners = {};
-    }
-    
-    addEventListener(type, callback) {
-      if (!(type in this.listeners)) {
-        this.listeners[type] = [];
-      }
-      this.listeners[type].push(callback);
-    }
-    
-    removeEventListener(type, callback) {
-      if (!(type in this.listeners)) return;
-      const stack = this.listeners[type];
-      for (let i = 0, l = stack.length; i < l; i++) {
-        if (stack[i] === callback) {
-          stack.splice(i, 1);
-          return;
-        }
-      }
-    }
-    
-    dispatchEvent(event) {
-      if (!(event.type in this.listeners)) return true;
-      const stack = this.listeners[event.type].slice();
-      
-      for (let i = 0, l = stack.length; i < l; i++) {
-        stack[i].call(this, event);
-      }
-      return !event.defaultPrevented;
-    }
-  };
+    return transaction;
+  }
 }
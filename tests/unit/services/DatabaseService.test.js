@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 
 // Create a mock for the database service
 // This mock doesn't rely on IndexedDB which is hard to mock in test environments
@@ -72,6 +72,8 @@ vi.mock('../../../src/services/DatabaseService', () => {
 
 // Import the mocked service
 import dbService from '../../../src/services/DatabaseService';
+import { IndexedDBMock } from '../mocks/indexedDBMock';
+import { SCHEMA_VERSION } from '../../../src/utils/migrations';
 
 describe('DatabaseService', () => {
   beforeEach(() => {
@@ -182,3 +184,119 @@ describe('DatabaseService', () => {
     expect(dbService.deleteDrawing).toHaveBeenCalledWith(drawing.id);
   });
 });
+
+// The real service on the IndexedDB mock, for what happens when the database is opened
+describe('DatabaseService upgrades', () => {
+  const DB_NAME = 'buildingPlannerDB';
+  const kitchen = {
+    id: 'drawing-1',
+    name: 'Kitchen',
+    shapes: [
+      { id: 'r', type: 'rectangle', x: 10, y: 10, width: 100, height: 50 },
+      { id: 'c', type: 'circle', x: 50, y: 50, width: 100, height: 60 }
+    ],
+    scale: { pixelsPerMeter: 50, unit: 'm' },
+    created: '2024-01-01T00:00:00.000Z',
+    lastModified: '2024-01-02T00:00:00.000Z'
+  };
+  const garage = { id: 'drawing-2', name: 'Garage', shapes: [], created: '2024-02-01T00:00:00.000Z' };
+  let mockDB;
+
+  // A database as an earlier version of the app left it, with the given
+  // records in each of its stores (and the indexes the app looks them up by)
+  const INDEXES = { drawings: ['name', 'lastModified'], projects: ['name', 'lastModified'], revisions: ['projectId'], drafts: [] };
+  const createDatabase = (version, records) => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, version);
+    request.onupgradeneeded = (event) => {
+      for (const name of Object.keys(records)) {
+        const store = event.target.result.createObjectStore(name, { keyPath: 'id' });
+        INDEXES[name].forEach(index => store.createIndex(index, index, { unique: false }));
+      }
+    };
+    request.onsuccess = (event) => {
+      const transaction = event.target.result.transaction(Object.keys(records), 'readwrite');
+      const puts = Object.entries(records).flatMap(([name, items]) => items.map(item => transaction.objectStore(name).put(item)));
+      if (puts.length === 0) resolve();
+      else puts[puts.length - 1].onsuccess = resolve;
+    };
+    request.onerror = reject;
+  });
+
+  // A fresh instance of the service, which opens (and upgrades) the database as it is created
+  const loadService = async () => {
+    vi.resetModules();
+    const { default: service } = await vi.importActual('../../../src/services/DatabaseService');
+    vi.spyOn(service, 'copyDrawingsToProjects');
+    return service;
+  };
+
+  beforeEach(() => {
+    mockDB = IndexedDBMock.setup();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    IndexedDBMock.restore();
+    vi.restoreAllMocks();
+  });
+
+  it('should turn every drawing into a project with its levels', async () => {
+    // The first version of the app stored drawings only
+    await createDatabase(1, { drawings: [kitchen, garage] });
+    const service = await loadService();
+
+    const projects = await service.getAllProjects();
+    expect(service.copyDrawingsToProjects).toHaveBeenCalledTimes(1);
+    expect(projects.map(project => project.id).sort()).toEqual(['drawing-1', 'drawing-2']);
+
+    const project = await service.getProjectById('drawing-1');
+    expect(project).toMatchObject({
+      name: 'Kitchen',
+      scale: kitchen.scale,
+      created: kitchen.created,
+      lastModified: kitchen.lastModified,
+      schemaVersion: SCHEMA_VERSION
+    });
+    expect(project.shapes).toBeUndefined();
+    expect(project.levels).toHaveLength(1);
+    // Its shapes are on the one level, brought up to date on the way
+    const [rect, circle] = project.levels[0].shapes;
+    expect(rect).toEqual(kitchen.shapes[0]);
+    expect(circle).toMatchObject({ id: 'c', type: 'ellipse', x: 50, y: 30, width: 100, height: 100 });
+
+    const empty = await service.getProjectById('drawing-2');
+    expect(empty.levels).toHaveLength(1);
+    expect(empty.levels[0].shapes).toEqual([]);
+
+    // The drawings themselves are left in place
+    expect(mockDB.getRecords(DB_NAME, 'drawings')).toEqual([kitchen, garage]);
+  });
+
+  it('should not copy anything on a fresh install', async () => {
+    const service = await loadService();
+
+    expect(await service.getAllProjects()).toEqual([]);
+    expect(service.copyDrawingsToProjects).not.toHaveBeenCalled();
+    expect(mockDB.databases.get(DB_NAME).objectStoreNames).toEqual(['drawings', 'projects', 'revisions', 'drafts']);
+  });
+
+  it('should migrate stored records when the database version goes up', async () => {
+    // Saved before circles became ellipses, by a version with every store
+    const house = {
+      id: 'house',
+      name: 'House',
+      levels: [{ id: 'g', name: 'Ground Floor', height: 3, shapes: [kitchen.shapes[1]] }],
+      created: '2024-03-01T00:00:00.000Z',
+      lastModified: '2024-03-01T00:00:00.000Z',
+      schemaVersion: 1
+    };
+    await createDatabase(5, { drawings: [], projects: [house], revisions: [], drafts: [] });
+    const service = await loadService();
+
+    const project = await service.getProjectById('house');
+    expect(service.copyDrawingsToProjects).not.toHaveBeenCalled();
+    expect(project.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(project.levels[0].shapes[0]).toMatchObject({ id: 'c', type: 'ellipse', x: 50, y: 30, width: 100, height: 100 });
+    expect(mockDB.databases.get(DB_NAME).version).toBeGreaterThan(5);
+  });
+});
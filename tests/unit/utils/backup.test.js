@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  createBackup,
+  parseBackup,
+  planImport,
+  getDrawingFileName
+} from '../../../src/utils/backup';
+import { SCHEMA_VERSION } from '../../../src/utils/migrations';
+
+describe('backup', () => {
+  const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 };
+  const house = { id: 'house', name: 'House', levels: [{ id: 'g', name: 'Ground Floor', height: 3, shapes: [rect] }], scale: { pixelsPerMeter: 50, unit: 'm' }, schemaVersion: SCHEMA_VERSION };
+  const shed = { id: 'shed', name: 'Shed', levels: [{ id: 'g2', name: 'Ground Floor', height: 2.5, shapes: [] }], schemaVersion: SCHEMA_VERSION };
+
+  const backupOf = (projects, extra = {}) => JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, projects, ...extra });
+
+  it('should read back the projects it wrote', () => {
+    const text = createBackup([house, shed]);
+    expect(JSON.parse(text)).toMatchObject({ format: BACKUP_FORMAT, version: BACKUP_VERSION });
+    expect(parseBackup(text)).toEqual({ projects: [house, shed], failures: [] });
+  });
+
+  it('should report broken records and keep the others', () => {
+    const { projects, failures } = parseBackup(backupOf([
+      house,
+      { id: 'a', levels: [] },
+      { id: 'b', name: 'No levels' },
+      { id: 'c', name: 'Bad shape', levels: [{ name: 'Roof', shapes: [{ x: 1 }] }] },
+      'nonsense',
+      { ...shed, name: 'Future', schemaVersion: SCHEMA_VERSION + 1 }
+    ]));
+
+    expect(projects).toEqual([house]);
+    expect(failures).toEqual([
+      { name: 'Record 2', reason: 'Missing name.' },
+      { name: 'No levels', reason: 'Missing levels.' },
+      { name: 'Bad shape', reason: 'Level "Roof" has an invalid shape.' },
+      { name: 'Record 5', reason: 'Not a drawing record.' },
+      { name: 'Future', reason: expect.stringMatching(/newer version/) }
+    ]);
+  });
+
+  it('should turn drawings saved before levels into projects', () => {
+    const { projects } = parseBackup(backupOf([{ id: 'old', name: 'Old', shapes: [rect] }]));
+    expect(projects[0].levels[0].shapes).toEqual([rect]);
+    expect(projects[0].id).toBe('old');
+    expect(projects[0].schemaVersion).toBe(SCHEMA_VERSION);
+  });
+
+  it('should reject files that are not backups this version can read', () => {
+    expect(() => parseBackup('not json')).toThrow(/valid JSON/);
+    expect(() => parseBackup('{"format":"building-planner/shapes","shapes":[]}')).toThrow(/not a Building Planner backup/);
+    expect(() => parseBackup(backupOf([], { version: BACKUP_VERSION + 1 }))).toThrow(/version/);
+  });
+
+  it('should skip, overwrite or keep both on conflicts by id or name', () => {
+    const saved = [{ ...house, levels: [] }, { id: 'other', name: 'Shed', levels: [] }];
+
+    expect(planImport([house, shed], saved, 'skip')).toEqual({ put: [], skipped: ['House', 'Shed'], replaced: [] });
+
+    const overwrite = planImport([house, shed], saved, 'overwrite');
+    expect(overwrite.put.map(p => [p.id, p.name])).toEqual([['house', 'House'], ['other', 'Shed']]);
+    expect(overwrite.put[0].levels).toBe(house.levels);
+    // Their revisions are of the drawings being replaced
+    expect(overwrite.replaced).toEqual(['house', 'other']);
+
+    const keepBoth = planImport([house, shed, shed], saved, 'keepBoth');
+    expect(keepBoth.put.map(p => p.name)).toEqual(['House (2)', 'Shed (2)', 'Shed (3)']);
+    expect(new Set([...keepBoth.put.map(p => p.id), 'house', 'other']).size).toBe(5);
+
+    // No conflict: imported as they are
+    expect(planImport([shed], [], 'skip').put).toEqual([shed]);
+  });
+
+  it('should overwrite the project with the same id without taking another one\'s name', () => {
+    const saved = [{ ...house, levels: [] }, { id: 'other', name: 'Shed', levels: [] }];
+    // The saved House, renamed to Shed in the backup
+    const renamed = { ...house, name: 'Shed' };
+
+    const { put, replaced } = planImport([renamed], saved, 'overwrite');
+    expect(put.map(p => [p.id, p.name])).toEqual([['house', 'Shed (2)']]);
+    expect(replaced).toEqual(['house']);
+  });
+
+  it('should not clear revisions when overwriting a drawing from the same import', () => {
+    const { put, replaced } = planImport([shed, { ...shed, id: 'shed-copy' }], [], 'overwrite');
+
+    expect(put.map(p => [p.id, p.name])).toEqual([['shed', 'Shed'], ['shed', 'Shed']]);
+    expect(replaced).toEqual([]);
+  });
+
+  it('should name drawing files after the drawing', () => {
+    expect(getDrawingFileName({ name: 'Plan: A/B' })).toBe('Plan_ A_B.json');
+    expect(getDrawingFileName({ name: '  ' })).toBe('drawing.json');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CLIPBOARD_FORMAT,
+  serializeShapes,
+  parseClipboard,
+  prepareShapesForPaste
+} from '../../../src/utils/clipboard';
+import { SCHEMA_VERSION } from '../../../src/utils/migrations';
+import { circleToEllipse } from '../../../src/utils/ellipses';
+
+describe('clipboard', () => {
+  const scale = { pixelsPerMeter: 50, unit: 'm' };
+  const wall = {
+    id: 'wall-1',
+    type: 'wall',
+    points: [{ x: 0, y: 0 }, { x: 100, y: 0 }],
+    x: 0,
+    y: 0,
+    width: 100,
+    height: 0,
+    thickness: 10,
+    alignment: 'center',
+    groupId: 'group-1'
+  };
+  const rect = { id: 'rect-1', type: 'rectangle', x: 10, y: 20, width: 30, height: 40, groupId: 'group-1' };
+  const door = { id: 'door-1', type: 'door', hostId: 'wall-1', segment: 0, position: 0.5, width: 40 };
+  const shapes = [wall, rect, door];
+
+  it('should write a versioned JSON payload including hosted openings', () => {
+    const payload = JSON.parse(serializeShapes([wall], shapes, scale));
+
+    expect(payload.format).toBe(CLIPBOARD_FORMAT);
+    expect(payload.version).toBe(2);
+    expect(payload.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(payload.pixelsPerMeter).toBe(50);
+    expect(payload.shapes.map(shape => shape.id)).toEqual(['wall-1', 'door-1']);
+  });
+
+  it('should ignore text that is not a shapes payload', () => {
+    expect(parseClipboard('hello')).toBeNull();
+    expect(parseClipboard('{"shapes": []}')).toBeNull();
+    expect(parseClipboard(JSON.stringify({ format: CLIPBOARD_FORMAT, version: 99, shapes: [] }))).toBeNull();
+    // Shapes from a newer version of the app
+    const newer = { format: CLIPBOARD_FORMAT, version: 2, schemaVersion: SCHEMA_VERSION + 1, shapes: [rect] };
+    expect(parseClipboard(JSON.stringify(newer))).toBeNull();
+  });
+
+  it('should upgrade shapes copied by an older version of the app', () => {
+    const circle = { id: 'circle-1', type: 'circle', x: 0, y: 0, width: 100, height: 60 };
+    const text = JSON.stringify({ format: CLIPBOARD_FORMAT, version: 1, pixelsPerMeter: 50, shapes: [rect, circle] });
+
+    expect(parseClipboard(text).shapes).toEqual([rect, circleToEllipse(circle)]);
+  });
+
+  it('should give pasted shapes new ids and offset them', () => {
+    const payload = parseClipboard(serializeShapes([wall, rect], shapes, scale));
+    const pasted = prepareShapesForPaste(payload, { offset: 20, pixelsPerMeter: 50 });
+    const [pastedWall, pastedRect, pastedDoor] = pasted;
+
+    expect(pasted).toHaveLength(3);
+    expect(new Set(pasted.map(shape => shape.id)).size).toBe(3);
+    expect(pasted.some(shape => shapes.some(original => original.id === shape.id))).toBe(false);
+    expect(pastedRect).toMatchObject({ x: 30, y: 40, width: 30, height: 40 });
+    expect(pastedWall.points[0]).toEqual({ x: 20, y: 20 });
+
+    // Links inside the copy point at the copies
+    expect(pastedDoor.hostId).toBe(pastedWall.id);
+    expect(pastedWall.groupId).toBe(pastedRect.groupId);
+    expect(pastedWall.groupId).not.toBe('group-1');
+  });
+
+  it('should keep real-world sizes when pasting into a drawing with another scale', () => {
+    const payload = parseClipboard(serializeShapes([wall], shapes, scale));
+    const [pastedWall, pastedDoor] = prepareShapesForPaste(payload, { offset: 0, pixelsPerMeter: 100 });
+
+    expect(pastedWall.points[1]).toEqual({ x: 200, y: 0 });
+    expect(pastedWall.thickness).toBe(20);
+    expect(pastedDoor.width).toBe(80);
+  });
+
+  it('should drop openings copied without their host', () => {
+    // Pasted onto the original host, the copy would land on top of the original door
+    const payload = parseClipboard(serializeShapes([door, rect], shapes, scale));
+    const pasted = prepareShapesForPaste(payload);
+
+    expect(pasted).toHaveLength(1);
+    expect(pasted[0]).toMatchObject({ type: 'rectangle', x: 30, y: 40 });
+    expect(prepareShapesForPaste(parseClipboard(serializeShapes([door], shapes, scale)))).toEqual([]);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ref } from 'vue';
+import CommandHistory from '../../../src/utils/commandHistory';
+import {
+  addShapeCommand,
+  updateShapeCommand,
+  updateShapesCommand,
+  deleteShapeCommand
+} from '../../../src/utils/shapeCommands';
+
+describe('CommandHistory', () => {
+  let shapes;
+  let history;
+  const rect = { id: '1', type: 'rectangle', x: 10, y: 10, width: 100, height: 50 };
+
+  beforeEach(() => {
+    shapes = ref([]);
+    history = new CommandHistory();
+  });
+
+  it('should undo and redo an added shape', () => {
+    history.execute(addShapeCommand(shapes, rect));
+    expect(shapes.value).toHaveLength(1);
+    expect(history.canUndo).toBe(true);
+
+    history.undo();
+    expect(shapes.value).toHaveLength(0);
+    expect(history.canRedo).toBe(true);
+
+    history.redo();
+    expect(shapes.value[0]).toEqual(rect);
+  });
+
+  it('should clear the redo stack when a new command is recorded', () => {
+    history.execute(addShapeCommand(shapes, rect));
+    history.undo();
+    history.execute(addShapeCommand(shapes, { ...rect, id: '2' }));
+
+    expect(history.canRedo).toBe(false);
+  });
+
+  it('should collapse a drag into a single undo step', () => {
+    history.execute(addShapeCommand(shapes, rect));
+
+    expect(history.inTransaction).toBe(false);
+    history.beginTransaction('Move rectangle');
+    expect(history.inTransaction).toBe(true);
+    let current = rect;
+    for (let i = 1; i <= 5; i++) {
+      const moved = { ...current, x: current.x + 10 };
+      history.execute(updateShapeCommand(shapes, current, moved));
+      current = moved;
+    }
+    history.commitTransaction();
+    expect(history.inTransaction).toBe(false);
+
+    expect(shapes.value[0].x).toBe(60);
+    expect(history.undoStack).toHaveLength(2);
+
+    history.undo();
+    expect(shapes.value[0].x).toBe(10);
+
+    history.redo();
+    expect(shapes.value[0].x).toBe(60);
+  });
+
+  it('should move several shapes as one undo step', () => {
+    const other = { ...rect, id: '2', x: 200 };
+    history.execute(addShapeCommand(shapes, rect));
+    history.execute(addShapeCommand(shapes, other));
+
+    history.beginTransaction('Move 2 shapes');
+    for (let dx = 10; dx <= 30; dx += 10) {
+      history.execute(updateShapesCommand(
+        shapes,
+        [rect, other],
+        [{ ...rect, x: rect.x + dx }, { ...other, x: other.x + dx }]
+      ));
+    }
+    history.commitTransaction();
+
+    expect(shapes.value.map(shape => shape.x)).toEqual([40, 230]);
+    expect(history.undoStack).toHaveLength(3);
+
+    history.undo();
+    expect(shapes.value.map(shape => shape.x)).toEqual([10, 200]);
+  });
+
+  it('should restore a deleted shape at its original position', () => {
+    const second = { ...rect, id: '2' };
+    shapes.value = [rect, second];
+
+    history.execute(deleteShapeCommand(shapes, rect));
+    expect(shapes.value.map(s => s.id)).toEqual(['2']);
+
+    history.undo();
+    expect(shapes.value.map(s => s.id)).toEqual(['1', '2']);
+  });
+
+  it('should respect the history limit', () => {
+    history = new CommandHistory({ limit: 2 });
+    for (let i = 0; i < 3; i++) {
+      history.execute(addShapeCommand(shapes, { ...rect, id: String(i) }));
+    }
+
+    expect(history.undoStack).toHaveLength(2);
+  });
+
+  it('should notify listeners and reset on clear', () => {
+    let changes = 0;
+    history = new CommandHistory({ onChange: () => changes++ });
+
+    history.execute(addShapeCommand(shapes, rect));
+    history.clear();
+
+    expect(changes).toBe(2);
+    expect(history.canUndo).toBe(false);
+    expect(history.canRedo).toBe(false);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  constrainAngle,
+  constrainToSquare,
+  findAlignment,
+  applyAlignment,
+  findEdgeAt,
+  snapToEdgeDirection
+} from '../../../src/utils/constraints';
+
+describe('constraints', () => {
+  const start = { x: 100, y: 100 };
+  const box = { id: 'box', type: 'rectangle', x: 200, y: 200, width: 100, height: 60 };
+  const line = { id: 'line', type: 'line', startX: 0, startY: 300, endX: 100, endY: 400 };
+
+  it('should turn a segment to the nearest 45° step', () => {
+    expect(constrainAngle(start, { x: 200, y: 108 })).toEqual({ x: 200, y: 100 });
+    expect(constrainAngle(start, { x: 96, y: 20 })).toEqual({ x: 100, y: 20 });
+
+    const diagonal = constrainAngle(start, { x: 180, y: 170 });
+    expect(diagonal.x - start.x).toBeCloseTo(diagonal.y - start.y);
+    // A segment of no length stays where it is
+    expect(constrainAngle(start, start)).toEqual(start);
+  });
+
+  it('should draw a rectangle square', () => {
+    expect(constrainToSquare(start, { x: 160, y: 40 })).toEqual({ x: 160, y: 40 });
+    expect(constrainToSquare(start, { x: 180, y: 130 })).toEqual({ x: 180, y: 180 });
+  });
+
+  it('should line up with the points and bounds of other shapes', () => {
+    // Near the box's center x and its top edge
+    const alignment = findAlignment({ x: 247, y: 196 }, [box], { tolerance: 5 });
+    expect(alignment.vertical.x).toBe(250);
+    expect(alignment.horizontal.y).toBe(200);
+
+    const { point, guides } = applyAlignment({ x: 247, y: 196 }, alignment);
+    expect(point).toEqual({ x: 250, y: 200 });
+    expect(guides).toHaveLength(2);
+    expect(guides.every(guide => guide.kind === 'align' && guide.to === point)).toBe(true);
+  });
+
+  it('should not line up with excluded or far-off shapes', () => {
+    expect(findAlignment({ x: 420, y: 20 }, [box], { tolerance: 5 })).toEqual({ vertical: null, horizontal: null });
+    expect(findAlignment({ x: 250, y: 20 }, [box], { tolerance: 5, excludeIds: ['box'] }).vertical).toBeNull();
+
+    const { point, guides } = applyAlignment({ x: 420, y: 20 }, { vertical: null, horizontal: null });
+    expect(point).toEqual({ x: 420, y: 20 });
+    expect(guides).toEqual([]);
+  });
+
+  it('should find the straight edge under a point', () => {
+    expect(findEdgeAt({ x: 52, y: 348 }, [box, line], { tolerance: 5 })).toEqual([
+      { x: 0, y: 300 },
+      { x: 100, y: 400 }
+    ]);
+    expect(findEdgeAt({ x: 250, y: 262 }, [box, line], { tolerance: 5 })).toEqual([
+      { x: 300, y: 260 },
+      { x: 200, y: 260 }
+    ]);
+    expect(findEdgeAt({ x: 250, y: 230 }, [box, line], { tolerance: 5 })).toBeNull();
+  });
+
+  it('should snap a segment parallel or perpendicular to an edge', () => {
+    const edge = [{ x: 0, y: 300 }, { x: 100, y: 400 }];
+
+    const parallel = snapToEdgeDirection(start, { x: 200, y: 195 }, edge);
+    expect(parallel.point.x - start.x).toBeCloseTo(parallel.point.y - start.y);
+    expect(parallel.guides.map(guide => guide.kind)).toEqual(['parallel', 'reference']);
+
+    // Either way along the edge, or across it
+    expect(snapToEdgeDirection(start, { x: 0, y: 3 }, edge).guides[0].kind).toBe('parallel');
+    const perpendicular = snapToEdgeDirection(start, { x: 200, y: 3 }, edge);
+    expect(perpendicular.guides[0].kind).toBe('perpendicular');
+    expect(perpendicular.point.x - start.x).toBeCloseTo(start.y - perpendicular.point.y);
+
+    expect(snapToEdgeDirection(start, { x: 200, y: 130 }, edge)).toBeNull();
+  });
+});
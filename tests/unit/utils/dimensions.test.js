@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getLinearDirection,
+  getAnchor,
+  createDimension,
+  setDimensionKind,
+  getDimensionGeometry,
+  setDimensionOffset,
+  getAttachedDimensionUpdates,
+  detachDimensions
+} from '../../../src/utils/dimensions';
+import { translateShape } from '../../../src/utils/geometry';
+import { exportSvg } from '../../../src/utils/svgExport';
+import { exportDxf } from '../../../src/utils/dxf';
+
+describe('dimensions', () => {
+  const scale = { pixelsPerMeter: 50, unit: 'm' };
+  const aligned = { kind: 'aligned', offset: 20 };
+  const line = { id: 'l1', type: 'line', startX: 0, startY: 0, endX: 100, endY: 0 };
+
+  it('should measure aligned dimensions with the line offset to the left', () => {
+    const dimension = createDimension({ x: 0, y: 0 }, { x: 100, y: 0 }, aligned);
+    expect(dimension).toMatchObject({ type: 'dimension', kind: 'aligned', offset: 20, anchors: [null, null] });
+
+    const { length, start, end, extensions, arrows, label } = getDimensionGeometry(dimension);
+    expect(length).toBe(100);
+    expect(start).toEqual({ x: 0, y: -20 });
+    expect(end).toEqual({ x: 100, y: -20 });
+    // Extension lines leave a gap at the measured point and overshoot the dimension line
+    expect(extensions[0]).toEqual([{ x: 0, y: -3 }, { x: 0, y: -24 }]);
+    expect(arrows[0]).toEqual([{ x: 0, y: -20 }, { x: 8, y: -22.5 }, { x: 8, y: -17.5 }]);
+    expect(label).toEqual({ x: 50, y: -23, rotation: 0 });
+  });
+
+  it('should measure linear dimensions along one axis only', () => {
+    expect(getLinearDirection({ x: 0, y: 0 }, { x: 100, y: 40 })).toBe('horizontal');
+    expect(getLinearDirection({ x: 0, y: 0 }, { x: 30, y: 100 })).toBe('vertical');
+
+    const horizontal = createDimension({ x: 0, y: 0 }, { x: 100, y: 40 }, { kind: 'linear', offset: 20 });
+    expect(horizontal.direction).toBe('horizontal');
+    expect(getDimensionGeometry(horizontal)).toMatchObject({ length: 100, start: { x: 0, y: -20 }, end: { x: 100, y: -20 } });
+
+    const vertical = setDimensionKind({ ...horizontal, points: [{ x: 0, y: 0 }, { x: 30, y: 100 }] }, 'linear');
+    expect(getDimensionGeometry(vertical)).toMatchObject({ length: 100, start: { x: 20, y: 0 }, end: { x: 20, y: 100 } });
+    expect(setDimensionKind(vertical, 'aligned').direction).toBeUndefined();
+  });
+
+  it('should keep the label readable and on the offset side', () => {
+    const reversed = createDimension({ x: 100, y: 0 }, { x: 0, y: 0 }, aligned);
+    const { label } = getDimensionGeometry(reversed);
+    expect(label.rotation).toBe(0);
+    expect(label.x).toBe(50);
+    // Below the line, which is below the points, so the text hangs under it
+    expect(label.y).toBeCloseTo(32.6);
+  });
+
+  it('should take its offset from a point dragged through the dimension line', () => {
+    const dimension = createDimension({ x: 0, y: 0 }, { x: 100, y: 0 }, aligned);
+    expect(setDimensionOffset(dimension, { x: 50, y: -40 }).offset).toBe(40);
+    expect(setDimensionOffset(dimension, { x: 50, y: 10 }).offset).toBe(-10);
+  });
+
+  it('should anchor only to snap targets on shapes', () => {
+    expect(getAnchor({ x: 0, y: 0, kind: 'endpoint', shapeId: 'l1', index: 0 })).toEqual({ shapeId: 'l1', index: 0 });
+    expect(getAnchor({ x: 0, y: 0, kind: 'grid' })).toBeNull();
+    expect(getAnchor(null)).toBeNull();
+  });
+
+  it('should follow the shapes it is attached to', () => {
+    const dimension = {
+      id: 'd',
+      ...createDimension({ x: 0, y: 0 }, { x: 100, y: 0 }, aligned, [{ shapeId: 'l1', index: 0 }, { shapeId: 'l1', index: 1 }])
+    };
+    const moved = translateShape(line, 10, 5);
+    const [updated] = getAttachedDimensionUpdates([moved], [moved, dimension]);
+    expect(updated.points).toEqual([{ x: 10, y: 5 }, { x: 110, y: 5 }]);
+    expect(updated.anchors).toEqual(dimension.anchors);
+    expect(updated).toMatchObject({ x: 10, y: 5, width: 100, height: 0 });
+
+    // Unrelated changes leave it alone
+    expect(getAttachedDimensionUpdates([{ id: 'other' }], [line, dimension])).toEqual([]);
+  });
+
+  it('should let go of its anchors when moved away from them', () => {
+    const dimension = {
+      id: 'd',
+      ...createDimension({ x: 0, y: 0 }, { x: 100, y: 0 }, aligned, [{ shapeId: 'l1', index: 0 }, { shapeId: 'l1', index: 1 }])
+    };
+    const moved = translateShape(dimension, 10, 0);
+    const [updated] = getAttachedDimensionUpdates([moved], [line, moved]);
+    expect(updated.anchors).toEqual([null, null]);
+    expect(updated.points).toEqual(moved.points);
+
+    // Moving together with the shape keeps them
+    const movedLine = translateShape(line, 10, 0);
+    expect(getAttachedDimensionUpdates([movedLine, moved], [movedLine, moved])).toEqual([]);
+
+    const [detached] = detachDimensions([line, dimension], 'l1');
+    expect(detached.anchors).toEqual([null, null]);
+    expect(detachDimensions([line, dimension], 'other')).toEqual([]);
+  });
+
+  it('should export its lines, arrowheads and length', () => {
+    const dimension = { id: 'd', ...createDimension({ x: 0, y: 0 }, { x: 100, y: 0 }, aligned), color: '#ff0000' };
+
+    const svg = exportSvg([dimension], { scale });
+    expect(svg).toContain('>2.00 m</text>');
+    expect(svg).toContain('<polygon');
+
+    const dxf = exportDxf([dimension], { scale });
+    expect(dxf.match(/\n {2}0\nLINE\n/g)).toHaveLength(3);
+    expect(dxf.match(/\n {2}0\nSOLID\n/g)).toHaveLength(2);
+    expect(dxf).toContain('\n  1\n2.00 m\n');
+  });
+});
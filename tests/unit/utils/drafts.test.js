@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { DRAFT_ID, createDraft, isDraftNewer, getDraftProject } from '../../../src/utils/drafts';
+import { SCHEMA_VERSION } from '../../../src/utils/migrations';
+
+describe('drafts', () => {
+  const project = {
+    levels: [{ id: 'g', name: 'Ground Floor', height: 3, shapes: [{ id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 }] }],
+    scale: { pixelsPerMeter: 50, unit: 'm' },
+    layers: [],
+    activeLevelId: 'g'
+  };
+  const view = { viewport: { x: 10, y: 20, zoom: 2 }, showAnnotations: false };
+  const drawing = { id: 'house', name: 'House', lastModified: '2024-01-01T00:00:00.000Z' };
+
+  it('should snapshot the working state with the drawing it belongs to', () => {
+    const draft = createDraft(project, view, drawing);
+
+    expect(draft).toMatchObject({
+      id: DRAFT_ID,
+      projectId: 'house',
+      name: 'House',
+      savedAt: drawing.lastModified,
+      schemaVersion: SCHEMA_VERSION,
+      view
+    });
+    expect(draft.levels).toEqual(project.levels);
+    expect(draft.levels).not.toBe(project.levels);
+    expect(new Date(draft.updated).getTime()).not.toBeNaN();
+  });
+
+  it('should give back the project as it would load', () => {
+    const loaded = getDraftProject(createDraft(project, view, drawing));
+    expect(loaded).toEqual({ ...project, id: 'house', name: 'House', lastModified: drawing.lastModified, schemaVersion: SCHEMA_VERSION });
+
+    // A draft of a drawing that was never saved
+    expect(getDraftProject(createDraft(project, view, { id: null, name: '', lastModified: null })).id).toBeNull();
+  });
+
+  it('should only be offered when newer than the saved drawing', () => {
+    const draft = { updated: '2024-02-01T00:00:00.000Z' };
+    expect(isDraftNewer(draft, { lastModified: '2024-01-01T00:00:00.000Z' })).toBe(true);
+    expect(isDraftNewer(draft, { lastModified: '2024-03-01T00:00:00.000Z' })).toBe(false);
+    expect(isDraftNewer(draft, null)).toBe(true);
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import { exportDxf, importDxf, hexToAci, aciToHex } from '../../../src/utils/dxf';
+
+describe('dxf', () => {
+  const scale = { pixelsPerMeter: 50, unit: 'm' };
+  const layers = [
+    { id: 'walls', name: 'Walls', visible: true, locked: false, color: '#ff0000', fillColor: null },
+    { id: 'furniture', name: 'Furniture', visible: false, locked: true, color: null, fillColor: null }
+  ];
+  const line = { id: 'l', type: 'line', startX: 0, startY: 0, endX: 100, endY: 50, color: '#0000ff', layerId: 'walls' };
+  const rect = { id: 'r', type: 'rectangle', x: 50, y: 100, width: 100, height: 50, color: null, fillColor: '#00ff00', layerId: 'furniture' };
+  const circle = { id: 'c', type: 'ellipse', x: 0, y: 0, width: 50, height: 50, color: '#ff0000', layerId: 'walls' };
+
+  // Minimal DXF with the given entity records
+  const dxf = (...entities) => ['0', 'SECTION', '2', 'ENTITIES', ...entities.flat(), '0', 'ENDSEC', '0', 'EOF'].join('\n');
+
+  it('should map colors to the nearest ACI index', () => {
+    expect(hexToAci('#ff0000')).toBe(1);
+    expect(hexToAci('#0000ff')).toBe(5);
+    expect(hexToAci('#000000')).toBe(7);
+    expect(hexToAci('#fe0101')).toBe(1);
+    expect(aciToHex(3)).toBe('#00ff00');
+    expect(aciToHex(-3)).toBe('#00ff00');
+  });
+
+  it('should write units, layers and entities with the Y axis pointing up', () => {
+    const text = exportDxf([line, rect, circle], { scale, layers });
+
+    // R12, whose entities need no handles
+    expect(text).toMatch(/\$ACADVER\n  1\nAC1009\n/);
+    expect(text).not.toContain('LWPOLYLINE');
+    expect(text).toMatch(/\$INSUNITS\n 70\n6\n/);
+    // The linetype the layers use is declared
+    expect(text).toContain('  0\nLTYPE\n  2\nCONTINUOUS\n');
+    expect(text).toContain('  2\nWalls\n 70\n0\n 62\n1\n');
+    // Locked and hidden, in the default stroke color
+    expect(text).toContain('  2\nFurniture\n 70\n4\n 62\n-250\n');
+    // 100 px at 50 px/m is 2 m; y = 50 px becomes -1 m
+    expect(text).toContain('  0\nLINE\n  8\nWalls\n 62\n5\n 10\n0\n 20\n0\n 30\n0\n 11\n2\n 21\n-1\n');
+    expect(text).toContain('  0\nPOLYLINE\n  8\nFurniture\n 62\n256\n 66\n1\n');
+    expect(text).toContain('  0\nVERTEX\n  8\nFurniture\n 10\n1\n 20\n-2\n 30\n0\n');
+    expect(text.match(/\nVERTEX\n/g)).toHaveLength(4);
+    expect(text).toContain('  0\nSEQEND\n  8\nFurniture\n');
+    expect(text).toContain('  0\nCIRCLE\n  8\nWalls\n 62\n1\n 10\n0.5\n 20\n-0.5\n 30\n0\n 40\n0.5\n');
+  });
+
+  it('should read its own export back', () => {
+    const { shapes, layers: imported, unsupported } = importDxf(exportDxf([line, rect, circle], { scale, layers }), { scale, layers });
+
+    expect(unsupported).toEqual({});
+    expect(imported).toEqual(layers);
+    expect(shapes.map(s => s.type)).toEqual(['line', 'rectangle', 'ellipse']);
+    expect(shapes[0]).toMatchObject({ startX: 0, startY: 0, endX: 100, endY: 50, color: '#0000ff', layerId: 'walls' });
+    expect(shapes[1]).toMatchObject({ x: 50, y: 100, width: 100, height: 50, color: null, layerId: 'furniture' });
+    expect(shapes[2]).toMatchObject({ x: 0, y: 0, width: 50, height: 50, color: '#ff0000' });
+    expect(shapes[0].id).not.toBe('l');
+  });
+
+  it('should write ellipses as polylines and read full ELLIPSE entities with their rotation', () => {
+    const ellipse = { id: 'e', type: 'ellipse', x: 0, y: 0, width: 100, height: 50, color: null, layerId: 'walls' };
+    const text = exportDxf([ellipse], { scale, layers });
+    expect(text).not.toContain('ELLIPSE');
+    expect(text).toContain('  0\nPOLYLINE\n  8\nWalls\n');
+    expect(text.match(/\nVERTEX\n/g)).toHaveLength(72);
+    // The first point is at the end of the long axis: x = 100 px, y = 25 px
+    expect(text).toContain('  0\nVERTEX\n  8\nWalls\n 10\n2\n 20\n-0.5\n');
+
+    // Half of a 2 × 1 m ellipse's long axis, turned 30° anticlockwise (clockwise on screen)
+    const major = [Math.cos(Math.PI / 6), Math.sin(Math.PI / 6)].map(String);
+    const rotated = dxf(['0', 'ELLIPSE', '8', 'Walls', '10', '1', '20', '-0.5', '11', major[0], '21', major[1], '40', '0.5', '41', '0', '42', String(Math.PI * 2)]);
+    const [shape] = importDxf(rotated, { scale, layers }).shapes;
+    expect(shape.type).toBe('ellipse');
+    for (const [key, value] of Object.entries({ x: 0, y: 0, width: 100, height: 50, rotation: 330 })) {
+      expect(shape[key]).toBeCloseTo(value);
+    }
+
+    // Elliptical arcs are reported, not closed into ellipses
+    const arc = dxf(['0', 'ELLIPSE', '8', '0', '10', '0', '20', '0', '11', '1', '21', '0', '40', '0.5', '41', '0', '42', '1.5']);
+    expect(importDxf(arc, { scale })).toMatchObject({ shapes: [], unsupported: { ELLIPSE: 1 } });
+  });
+
+  it('should export feet and inches drawings in inches and convert units on import', () => {
+    const text = exportDxf([line], { scale: { pixelsPerMeter: 50, unit: 'ft-in' }, layers });
+    expect(text).toMatch(/\$INSUNITS\n 70\n1\n/);
+
+    const millimeters = ['0', 'SECTION', '2', 'HEADER', '9', '$INSUNITS', '70', '4', '0', 'ENDSEC'].join('\n') + '\n' +
+      dxf(['0', 'LINE', '8', '0', '10', '0', '20', '0', '11', '1000', '21', '0']);
+    const [shape] = importDxf(millimeters, { scale }).shapes;
+    expect(shape).toMatchObject({ startX: 0, endX: 50, color: null });
+  });
+
+  it('should add layers it does not know and count unsupported entities', () => {
+    const text = dxf(
+      ['0', 'LINE', '8', 'Doors', '62', '3', '10', '0', '20', '0', '11', '1', '21', '1'],
+      ['0', 'LWPOLYLINE', '8', 'Doors', '90', '3', '70', '0', '10', '0', '20', '0', '10', '1', '20', '0', '10', '1', '20', '1'],
+      ['0', 'HATCH', '8', 'Doors'],
+      ['0', 'ARC', '8', 'Doors'],
+      ['0', 'HATCH', '8', 'Doors']
+    );
+    const result = importDxf(text, { scale, layers });
+
+    expect(result.unsupported).toEqual({ HATCH: 2, ARC: 1 });
+    expect(result.layers).toHaveLength(3);
+    const doors = result.layers[2];
+    expect(doors.name).toBe('Doors');
+    // An open polyline becomes one line per segment
+    expect(result.shapes.map(s => s.type)).toEqual(['line', 'line', 'line']);
+    expect(result.shapes.every(s => s.layerId === doors.id)).toBe(true);
+    expect(result.shapes[0].color).toBe('#00ff00');
+  });
+
+  it('should read R12 polylines and report polygon meshes', () => {
+    const vertex = (vx, vy) => ['0', 'VERTEX', '8', '0', '10', vx, '20', vy, '30', '0'];
+    const text = dxf(
+      ['0', 'POLYLINE', '8', '0', '66', '1', '70', '1'],
+      vertex('0', '0'), vertex('2', '0'), vertex('2', '-1'), vertex('0', '-1'),
+      ['0', 'SEQEND', '8', '0'],
+      ['0', 'POLYLINE', '8', '0', '66', '1', '70', '0'],
+      vertex('0', '0'), vertex('1', '1'), vertex('2', '0'),
+      ['0', 'SEQEND', '8', '0'],
+      ['0', 'POLYLINE', '8', '0', '66', '1', '70', '16'],
+      vertex('0', '0'), vertex('1', '0'),
+      ['0', 'SEQEND', '8', '0']
+    );
+    const { shapes, unsupported } = importDxf(text, { scale, layers });
+
+    expect(shapes.map(s => s.type)).toEqual(['rectangle', 'line', 'line']);
+    expect(shapes[0]).toMatchObject({ x: 0, y: 0, width: 100, height: 50 });
+    expect(shapes[2]).toMatchObject({ startX: 50, startY: -50, endX: 100, endY: 0 });
+    expect(unsupported).toEqual({ POLYLINE: 1 });
+  });
+
+  it('should put entities on layer 0 onto the default layer', () => {
+    const text = dxf(['0', 'LINE', '8', '0', '10', '0', '20', '0', '11', '1', '21', '0'], ['0', 'LINE', '10', '0', '20', '0', '11', '1', '21', '0']);
+    const result = importDxf(text, { scale, layers });
+
+    expect(result.layers).toEqual(layers);
+    expect(result.shapes.map(s => s.layerId)).toEqual(['walls', 'walls']);
+  });
+
+  it('should split the arc segments of polylines into short lines', () => {
+    // A half circle from (0, 0) to (2, 0) m through (1, -1) m, and a straight segment back
+    const lwpolyline = dxf(['0', 'LWPOLYLINE', '8', 'Walls', '90', '2', '70', '1', '10', '0', '20', '0', '42', '1', '10', '2', '20', '0']);
+    const vertex = (vx, vy, bulge) => ['0', 'VERTEX', '8', 'Walls', '10', vx, '20', vy, '42', bulge];
+    const polyline = dxf(
+      ['0', 'POLYLINE', '8', 'Walls', '66', '1', '70', '1'],
+      vertex('0', '0', '1'), vertex('2', '0', '0'),
+      ['0', 'SEQEND', '8', 'Walls']
+    );
+
+    for (const text of [lwpolyline, polyline]) {
+      const { shapes, unsupported } = importDxf(text, { scale, layers });
+      expect(unsupported).toEqual({});
+      // 180° in 10° steps, then the chord
+      expect(shapes).toHaveLength(19);
+      expect(shapes[0]).toMatchObject({ startX: 0, startY: 0 });
+      expect(shapes[8].endX).toBeCloseTo(50);
+      expect(shapes[8].endY).toBeCloseTo(50);
+      expect(shapes[17]).toMatchObject({ endX: 100 });
+      expect(shapes[18]).toMatchObject({ startX: 100, endX: 0 });
+      // Every point is on the circle around (1, 0) m
+      for (const shape of shapes.slice(0, 18)) {
+        expect(Math.hypot(shape.endX - 50, shape.endY)).toBeCloseTo(50);
+      }
+    }
+  });
+
+  it('should reject files that are not ASCII DXF', () => {
+    expect(() => importDxf('hello\nworld')).toThrow(/group code/);
+    expect(() => importDxf('0\nEOF')).toThrow(/ENTITIES/);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getEllipseRadii,
+  isCircle,
+  getEllipseArea,
+  isPointInEllipse,
+  getEllipseBounds,
+  constrainToCircle,
+  circleToEllipse
+} from '../../../src/utils/ellipses';
+import { getShapeAnnotations } from '../../../src/utils/annotations';
+import { exportSvg } from '../../../src/utils/svgExport';
+
+describe('ellipses', () => {
+  const scale = { pixelsPerMeter: 50, unit: 'm' };
+  const ellipse = { id: 'e', type: 'ellipse', x: 0, y: 0, width: 100, height: 50 };
+  const circle = { id: 'c', type: 'ellipse', x: 0, y: 0, width: 50, height: 50 };
+
+  it('should take its radii and area from its box', () => {
+    expect(getEllipseRadii(ellipse)).toEqual({ rx: 50, ry: 25 });
+    expect(getEllipseArea(ellipse)).toBeCloseTo(Math.PI * 50 * 25);
+    expect(isCircle(ellipse)).toBe(false);
+    expect(isCircle(circle)).toBe(true);
+  });
+
+  it('should hit test against the outline rather than the box', () => {
+    expect(isPointInEllipse({ x: 50, y: 25 }, ellipse)).toBe(true);
+    expect(isPointInEllipse({ x: 99, y: 25 }, ellipse)).toBe(true);
+    // Inside the box, outside the outline
+    expect(isPointInEllipse({ x: 5, y: 5 }, ellipse)).toBe(false);
+    // Turned upright, the ellipse reaches down and no longer reaches right
+    const turned = { ...ellipse, rotation: 90 };
+    expect(isPointInEllipse({ x: 50, y: 70 }, turned)).toBe(true);
+    expect(isPointInEllipse({ x: 95, y: 25 }, turned)).toBe(false);
+    expect(isPointInEllipse({ x: 0, y: 0 }, { ...ellipse, width: 0 })).toBe(false);
+  });
+
+  it('should bound the outline tightly when rotated', () => {
+    expect(getEllipseBounds(ellipse)).toEqual({ minX: 0, minY: 0, maxX: 100, maxY: 50 });
+    const bounds = getEllipseBounds({ ...ellipse, rotation: 90 });
+    expect(bounds.minX).toBeCloseTo(25);
+    expect(bounds.maxY).toBeCloseTo(75);
+  });
+
+  it('should pull a drag onto a square box, keeping its direction', () => {
+    expect(constrainToCircle({ x: 10, y: 10 }, { x: 40, y: 20 })).toEqual({ x: 40, y: 40 });
+    expect(constrainToCircle({ x: 10, y: 10 }, { x: 0, y: -30 })).toEqual({ x: -30, y: -30 });
+  });
+
+  it('should turn an old circle into the circle it was drawn as', () => {
+    expect(circleToEllipse({ id: 'o', type: 'circle', x: 0, y: 0, width: 20, height: 40 }))
+      .toEqual({ id: 'o', type: 'ellipse', x: -10, y: 0, width: 40, height: 40 });
+  });
+
+  it('should annotate the radius of circles and both diameters of ellipses, with the area', () => {
+    expect(getShapeAnnotations(circle, scale).map(label => label.text)).toEqual(['r=0.50 m', '0.79 m²']);
+    expect(getShapeAnnotations(ellipse, scale).map(label => label.text)).toEqual(['d=2.00 m', 'd=1.00 m', '1.57 m²']);
+  });
+
+  it('should export circles as SVG circles and other ellipses as SVG ellipses', () => {
+    expect(exportSvg([circle])).toContain('<circle cx="25" cy="25" r="25"');
+    expect(exportSvg([{ ...ellipse, rotation: 45 }])).toContain('<ellipse cx="50" cy="25" rx="50" ry="25" transform="rotate(45 50 25)"');
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import {
+  HANDLE_HIT_SIZES,
+  getHandleHitSize,
+  getPinch,
+  applyPinch,
+  isBeyondLongPress
+} from '../../../src/utils/gestures';
+import { MAX_ZOOM, screenToWorld } from '../../../src/utils/viewport';
+
+describe('gestures', () => {
+  const viewport = { x: 20, y: -10, zoom: 1.5 };
+
+  it('should give fingers and pens larger handles than the mouse', () => {
+    expect(getHandleHitSize('mouse')).toBe(HANDLE_HIT_SIZES.mouse);
+    expect(getHandleHitSize('pen')).toBeGreaterThan(getHandleHitSize('mouse'));
+    expect(getHandleHitSize('touch')).toBeGreaterThan(getHandleHitSize('pen'));
+    // Unknown pointer types are treated like a mouse
+    expect(getHandleHitSize('')).toBe(HANDLE_HIT_SIZES.mouse);
+  });
+
+  it('should measure two fingers', () => {
+    expect(getPinch({ x: 0, y: 0 }, { x: 60, y: 80 })).toEqual({ center: { x: 30, y: 40 }, distance: 100 });
+  });
+
+  it('should zoom with the spread of the fingers about their middle', () => {
+    const start = getPinch({ x: 100, y: 100 }, { x: 200, y: 100 });
+    const current = getPinch({ x: 50, y: 100 }, { x: 250, y: 100 });
+    const pinched = applyPinch(viewport, start, current);
+
+    expect(pinched.zoom).toBe(3);
+    expect(screenToWorld(current.center, pinched)).toEqual(screenToWorld(start.center, viewport));
+  });
+
+  it('should pan with the middle of the fingers', () => {
+    const start = getPinch({ x: 100, y: 100 }, { x: 200, y: 100 });
+    const current = getPinch({ x: 130, y: 140 }, { x: 230, y: 140 });
+
+    expect(applyPinch(viewport, start, current)).toEqual({ x: 50, y: 30, zoom: 1.5 });
+  });
+
+  it('should keep the zoom within its limits', () => {
+    const start = getPinch({ x: 0, y: 0 }, { x: 1, y: 0 });
+    const current = getPinch({ x: 0, y: 0 }, { x: 1000, y: 0 });
+
+    expect(applyPinch(viewport, start, current).zoom).toBe(MAX_ZOOM);
+    // Fingers landing on the same spot don't zoom
+    expect(applyPinch(viewport, { center: { x: 0, y: 0 }, distance: 0 }, current).zoom).toBe(1.5);
+  });
+
+  it('should stop a long press once the pointer wanders', () => {
+    expect(isBeyondLongPress({ x: 0, y: 0 }, { x: 5, y: 5 })).toBe(false);
+    expect(isBeyondLongPress({ x: 0, y: 0 }, { x: 10, y: 0 })).toBe(true);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getInspectorFields,
+  getFieldValue,
+  setFieldValue,
+  formatFieldValue,
+  parseFieldValue
+} from '../../../src/utils/inspector';
+import { getBoxCorners } from '../../../src/utils/rotation';
+import { getTextAnchor } from '../../../src/utils/text';
+
+describe('inspector', () => {
+  const scale = { pixelsPerMeter: 50, unit: 'm' };
+  const rectangle = { id: 'r', type: 'rectangle', x: 100, y: 50, width: 200, height: 100 };
+  const line = { id: 'l', type: 'line', startX: 0, startY: 0, endX: 30, endY: 40, x: 0, y: 0, width: 30, height: 40 };
+  const field = (shape, key) => getInspectorFields(shape).find(f => f.key === key);
+
+  it('should list the fields of each shape type', () => {
+    expect(getInspectorFields(rectangle).map(f => f.key)).toEqual(['x', 'y', 'width', 'height', 'rotation']);
+    expect(getInspectorFields(line).map(f => f.key)).toEqual(['startX', 'startY', 'endX', 'endY', 'length', 'angle']);
+    // A circle has one radius, an ellipse two
+    const circle = { type: 'ellipse', x: 0, y: 0, width: 50, height: 50 };
+    expect(getInspectorFields(circle).map(f => f.key)).toContain('radius');
+    expect(getInspectorFields({ ...circle, width: 80 }).map(f => f.key)).toContain('radiusX');
+    expect(getInspectorFields(null)).toEqual([]);
+  });
+
+  it('should read typed values in the drawing units', () => {
+    expect(parseFieldValue(field(rectangle, 'width'), '3.5m', scale)).toEqual({ value: 175 });
+    expect(parseFieldValue(field(rectangle, 'width'), '200+45', { ...scale, unit: 'cm' }).value).toBeCloseTo(122.5);
+    expect(parseFieldValue(field(rectangle, 'x'), '-1m', scale)).toEqual({ value: -50 });
+    expect(parseFieldValue(field(rectangle, 'rotation'), '45°', scale)).toEqual({ value: 45 });
+  });
+
+  it('should flag values that are not valid', () => {
+    expect(parseFieldValue(field(rectangle, 'width'), '3 parsecs', scale).error).toMatch(/Not a length/);
+    expect(parseFieldValue(field(rectangle, 'width'), '0', scale).error).toBe('Must be more than zero');
+    expect(parseFieldValue(field(rectangle, 'rotation'), 'north', scale).error).toMatch(/Not an angle/);
+    expect(parseFieldValue({ key: 'name', kind: 'text' }, '  ', scale).error).toBe('Can\'t be empty');
+  });
+
+  it('should format values for editing', () => {
+    expect(formatFieldValue(rectangle, field(rectangle, 'width'), scale)).toBe('4.00 m');
+    expect(formatFieldValue(line, field(line, 'angle'), scale)).toBe('53.1°');
+  });
+
+  it('should move and resize rectangles from their top-left corner', () => {
+    expect(setFieldValue(rectangle, 'x', 0)).toMatchObject({ x: 0, y: 50, width: 200 });
+    expect(setFieldValue(rectangle, 'width', 300)).toMatchObject({ x: 100, y: 50, width: 300, height: 100 });
+
+    // A rotated rectangle keeps its drawn corner in place
+    const rotated = { ...rectangle, rotation: 30 };
+    const resized = setFieldValue(rotated, 'height', 40);
+    expect(resized.height).toBeCloseTo(40);
+    expect(getBoxCorners(resized)[0].x).toBeCloseTo(getBoxCorners(rotated)[0].x);
+    expect(getBoxCorners(resized)[0].y).toBeCloseTo(getBoxCorners(rotated)[0].y);
+    expect(setFieldValue(rectangle, 'rotation', -90).rotation).toBe(270);
+  });
+
+  it('should set the center and radius of circles', () => {
+    const circle = { type: 'ellipse', x: 0, y: 0, width: 50, height: 50 };
+    expect(setFieldValue(circle, 'radius', 50)).toMatchObject({ x: -25, y: -25, width: 100, height: 100 });
+    expect(setFieldValue(circle, 'centerX', 100)).toMatchObject({ x: 75, width: 50 });
+  });
+
+  it('should edit lines by their ends, length and angle', () => {
+    expect(getFieldValue(line, 'length')).toBe(50);
+    expect(setFieldValue(line, 'endX', -30)).toMatchObject({ x: -30, width: 30 });
+
+    const longer = setFieldValue(line, 'length', 100);
+    expect(longer.endX).toBeCloseTo(60);
+    expect(longer.endY).toBeCloseTo(80);
+    expect(longer.height).toBeCloseTo(80);
+
+    const turned = setFieldValue(line, 'angle', 90);
+    expect(turned.endX).toBeCloseTo(0);
+    expect(turned.endY).toBeCloseTo(50);
+  });
+
+  it('should move text by the point it hangs from and refit its box', () => {
+    const text = { type: 'text', text: 'Hall', fontSize: 10, align: 'left', x: 0, y: 0, width: 22, height: 12 };
+    const moved = setFieldValue(text, 'anchorX', 100);
+    expect(getTextAnchor(moved).x).toBeCloseTo(100);
+
+    const bigger = setFieldValue(text, 'fontSize', 20);
+    expect(bigger.height).toBeCloseTo(24);
+    expect(getTextAnchor(bigger).x).toBeCloseTo(getTextAnchor(text).x);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_STROKE,
+  DEFAULT_LAYERS,
+  createLayer,
+  normalizeLayers,
+  getShapeLayer,
+  isLayerEditable,
+  isShapeVisible,
+  isShapeEditable,
+  resolveShapeStyle,
+  sortShapesByLayer,
+  moveLayer
+} from '../../../src/utils/layers';
+
+describe('layers', () => {
+  const walls = { id: 'walls', name: 'Walls', visible: true, locked: false, color: '#ff0000', fillColor: null };
+  const hidden = { id: 'hidden', name: 'Hidden', visible: false, locked: false, color: null, fillColor: null };
+  const locked = { id: 'locked', name: 'Locked', visible: true, locked: true, color: null, fillColor: '#eeeeee' };
+  const layers = [walls, hidden, locked];
+
+  it('should give new layers the next free name', () => {
+    expect(createLayer(DEFAULT_LAYERS).name).toBe('Layer 2');
+    const taken = [...DEFAULT_LAYERS, { ...DEFAULT_LAYERS[0], id: 'x', name: 'Layer 3' }];
+    const layer = createLayer(taken);
+    expect(layer.name).toBe('Layer 4');
+    expect(layer).toMatchObject({ visible: true, locked: false, color: null, fillColor: null });
+    expect(layer.id).not.toBe(createLayer(taken).id);
+  });
+
+  it('should fill in layers for drawings saved without them', () => {
+    expect(normalizeLayers(undefined)).toEqual(DEFAULT_LAYERS);
+    expect(normalizeLayers([])).toEqual(DEFAULT_LAYERS);
+    expect(normalizeLayers(undefined)[0]).not.toBe(DEFAULT_LAYERS[0]);
+    expect(normalizeLayers([{ id: 'a', name: 'A', locked: true }])).toEqual([
+      { id: 'a', name: 'A', visible: true, locked: true, color: null, fillColor: null }
+    ]);
+  });
+
+  it('should put shapes without a known layer on the first layer', () => {
+    expect(getShapeLayer({ layerId: 'locked' }, layers)).toBe(locked);
+    expect(getShapeLayer({}, layers)).toBe(walls);
+    expect(getShapeLayer({ layerId: 'gone' }, layers)).toBe(walls);
+  });
+
+  it('should only edit shapes on visible, unlocked layers', () => {
+    expect(isLayerEditable(walls)).toBe(true);
+    expect(isLayerEditable(hidden)).toBe(false);
+    expect(isLayerEditable(locked)).toBe(false);
+
+    expect(isShapeVisible({ layerId: 'hidden' }, layers)).toBe(false);
+    expect(isShapeVisible({ layerId: 'locked' }, layers)).toBe(true);
+    expect(isShapeEditable({ layerId: 'locked' }, layers)).toBe(false);
+    expect(isShapeEditable({ layerId: 'walls' }, layers)).toBe(true);
+  });
+
+  it('should take colors from the layer when a shape has none', () => {
+    expect(resolveShapeStyle({ color: null, fillColor: null }, walls))
+      .toEqual({ color: '#ff0000', fillColor: 'transparent' });
+    expect(resolveShapeStyle({ color: '#00ff00', fillColor: null }, locked))
+      .toEqual({ color: '#00ff00', fillColor: '#eeeeee' });
+    expect(resolveShapeStyle({}, hidden)).toEqual({ color: DEFAULT_STROKE, fillColor: 'transparent' });
+    // A shape's own "transparent" fill is not overridden
+    expect(resolveShapeStyle({ fillColor: 'transparent' }, locked).fillColor).toBe('transparent');
+  });
+
+  it('should draw the bottom layer first, keeping the order within a layer', () => {
+    const shapes = [
+      { id: 'a', layerId: 'walls' },
+      { id: 'b', layerId: 'locked' },
+      { id: 'c' },
+      { id: 'd', layerId: 'locked' }
+    ];
+    expect(sortShapesByLayer(shapes, layers).map(s => s.id)).toEqual(['b', 'd', 'a', 'c']);
+  });
+
+  it('should move layers up and down the list', () => {
+    expect(moveLayer(layers, 'hidden', -1).map(l => l.id)).toEqual(['hidden', 'walls', 'locked']);
+    expect(moveLayer(layers, 'hidden', 1).map(l => l.id)).toEqual(['walls', 'locked', 'hidden']);
+    expect(moveLayer(layers, 'walls', -1)).toBe(layers);
+    expect(moveLayer(layers, 'locked', 1)).toBe(layers);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_LEVEL_HEIGHT,
+  createLevel,
+  normalizeLevels,
+  duplicateLevel,
+  moveLevel,
+  getLevelBelow,
+  drawingToProject
+} from '../../../src/utils/levels';
+
+describe('levels', () => {
+  const wall = { id: 'w', type: 'wall', points: [{ x: 0, y: 0 }, { x: 100, y: 0 }], thickness: 10, groupId: 'g' };
+  const door = { id: 'd', type: 'door', hostId: 'w', segment: 0, position: 0.5, width: 40 };
+  const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, groupId: 'g' };
+  const first = { id: 'first', name: 'First Floor', height: 3, shapes: [] };
+  const ground = { id: 'ground', name: 'Ground Floor', height: 3.5, shapes: [wall, door, rect] };
+  const basement = { id: 'basement', name: 'Basement', height: 2.5, shapes: [] };
+  const levels = [first, ground, basement];
+
+  it('should create empty levels with the next free name', () => {
+    const level = createLevel([ground]);
+    expect(level).toMatchObject({ name: 'Level 2', height: DEFAULT_LEVEL_HEIGHT, shapes: [] });
+    expect(createLevel([{ name: 'Level 2' }]).name).toBe('Level 3');
+    expect(createLevel([], { name: 'Roof', height: 1 })).toMatchObject({ name: 'Roof', height: 1 });
+    expect(level.id).not.toBe(createLevel([ground]).id);
+  });
+
+  it('should always have at least one level', () => {
+    const [level] = normalizeLevels(undefined);
+    expect(level).toMatchObject({ name: 'Ground Floor', height: DEFAULT_LEVEL_HEIGHT, shapes: [] });
+    expect(normalizeLevels([{ id: 'a', name: 'A' }])).toEqual([
+      { id: 'a', name: 'A', height: DEFAULT_LEVEL_HEIGHT, shapes: [] }
+    ]);
+  });
+
+  it('should duplicate a level with new shape ids that still refer to each other', () => {
+    const copy = duplicateLevel(ground, levels);
+    expect(copy.id).not.toBe(ground.id);
+    expect(copy.name).toBe('Ground Floor copy');
+    expect(copy.height).toBe(3.5);
+
+    const [wallCopy, doorCopy, rectCopy] = copy.shapes;
+    expect(wallCopy.id).not.toBe('w');
+    expect(wallCopy.points).toEqual(wall.points);
+    expect(doorCopy.hostId).toBe(wallCopy.id);
+    expect(rectCopy.groupId).toBe(wallCopy.groupId);
+    expect(rectCopy.groupId).not.toBe('g');
+
+    expect(duplicateLevel(ground, [...levels, copy]).name).toBe('Ground Floor copy 2');
+  });
+
+  it('should reorder levels and find the one below', () => {
+    expect(moveLevel(levels, 'basement', -1).map(l => l.id)).toEqual(['first', 'basement', 'ground']);
+    expect(getLevelBelow(levels, 'first')).toBe(ground);
+    expect(getLevelBelow(levels, 'basement')).toBeNull();
+    expect(getLevelBelow(levels, 'missing')).toBeNull();
+  });
+
+  it('should turn an older drawing into a single-level project', () => {
+    const project = drawingToProject({ id: 'x', name: 'Plan', shapes: [rect], scale: { pixelsPerMeter: 20, unit: 'm' } });
+    expect(project).toMatchObject({ id: 'x', name: 'Plan', scale: { pixelsPerMeter: 20, unit: 'm' } });
+    expect(project.shapes).toBeUndefined();
+    expect(project.levels).toHaveLength(1);
+    expect(project.levels[0]).toMatchObject({ name: 'Ground Floor', height: DEFAULT_LEVEL_HEIGHT, shapes: [rect] });
+  });
+});
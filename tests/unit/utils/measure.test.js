@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getMeasurement,
+  formatMeasurement,
+  getMeasurementLabelPoint,
+  createMeasurementNote
+} from '../../../src/utils/measure';
+
+describe('measure', () => {
+  const scale = { pixelsPerMeter: 50, unit: 'm' };
+  const square = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+
+  it('should measure a distance and its angle', () => {
+    const measurement = getMeasurement([{ x: 0, y: 0 }, { x: 30, y: 40 }]);
+    expect(measurement).toMatchObject({ closed: false, length: 50, angle: 53.1, area: null });
+    expect(formatMeasurement(measurement, scale)).toEqual(['1.00 m', 'Angle: 53.1°']);
+    expect(getMeasurementLabelPoint(measurement)).toEqual({ x: 15, y: 20 });
+    expect(getMeasurement([{ x: 0, y: 0 }, { x: -10, y: 0 }]).angle).toBe(180);
+  });
+
+  it('should add up the length of a chain', () => {
+    const measurement = getMeasurement(square.slice(0, 3));
+    expect(measurement).toMatchObject({ closed: false, length: 200, angle: 90, area: null });
+    expect(formatMeasurement(measurement, scale)).toEqual(['Total: 4.00 m', 'Segments: 2']);
+    expect(getMeasurementLabelPoint(measurement)).toEqual({ x: 100, y: 100 });
+  });
+
+  it('should measure the area of a closed chain', () => {
+    const measurement = getMeasurement(square, true);
+    expect(measurement).toMatchObject({ closed: true, length: 400, area: 10000 });
+    expect(formatMeasurement(measurement, scale)).toEqual(['Area: 4.00 m²', 'Perimeter: 8.00 m']);
+    expect(getMeasurementLabelPoint(measurement)).toEqual({ x: 50, y: 50 });
+    // Two points enclose nothing
+    expect(getMeasurement(square.slice(0, 2), true)).toMatchObject({ closed: false, area: null });
+  });
+
+  it('should pin as a text note with its values', () => {
+    const settings = { fontSize: 16, align: 'left', rotation: 0 };
+    const note = createMeasurementNote(getMeasurement(square, true), scale, settings, { id: 'n', layerId: 'default' });
+    expect(note).toMatchObject({ id: 'n', type: 'text', text: 'Area: 4.00 m², Perimeter: 8.00 m', align: 'center', layerId: 'default' });
+    expect(note.x + note.width / 2).toBeCloseTo(50);
+
+    const distanceNote = createMeasurementNote(getMeasurement(square.slice(0, 2)), scale, settings);
+    expect(distanceNote).toMatchObject({ text: '2.00 m, Angle: 0°', align: 'left', x: 50 });
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  getSchemaVersion,
+  isNewerSchema,
+  needsMigration,
+  migrateRecord
+} from '../../../src/utils/migrations';
+import { DEFAULT_LEVEL_HEIGHT } from '../../../src/utils/levels';
+
+describe('migrations', () => {
+  const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 };
+
+  it('should number the registry 1, 2, 3, ... up to the schema version', () => {
+    expect(MIGRATIONS.map(migration => migration.version)).toEqual(MIGRATIONS.map((_, i) => i + 1));
+    expect(SCHEMA_VERSION).toBe(MIGRATIONS.length);
+    expect(MIGRATIONS.every(migration => migration.description)).toBe(true);
+  });
+
+  it('should treat unstamped records as version 0', () => {
+    expect(getSchemaVersion({ name: 'Old' })).toBe(0);
+    expect(needsMigration({ name: 'Old' })).toBe(true);
+    expect(needsMigration({ schemaVersion: SCHEMA_VERSION })).toBe(false);
+    expect(isNewerSchema({ schemaVersion: SCHEMA_VERSION + 1 })).toBe(true);
+  });
+
+  it('should turn drawings saved before levels into stamped projects', () => {
+    const drawing = { id: 'a', name: 'Old', shapes: [rect], scale: { pixelsPerMeter: 20, unit: 'm' } };
+    const project = migrateRecord(drawing);
+
+    expect(project).toMatchObject({ id: 'a', name: 'Old', scale: drawing.scale, schemaVersion: SCHEMA_VERSION });
+    expect(project.shapes).toBeUndefined();
+    expect(project.levels[0].shapes).toEqual([rect]);
+    // The input is left alone
+    expect(drawing.shapes).toEqual([rect]);
+  });
+
+  it('should fill in level defaults of unstamped projects', () => {
+    const project = migrateRecord({ id: 'p', name: 'P', levels: [{ id: 'g', name: 'Ground' }] });
+    expect(project.levels).toEqual([{ id: 'g', name: 'Ground', height: DEFAULT_LEVEL_HEIGHT, shapes: [] }]);
+  });
+
+  it('should turn circles into the ellipses they were drawn as', () => {
+    const circle = { id: 'c', type: 'circle', x: 0, y: 0, width: 40, height: 20, color: '#ff0000' };
+    const project = migrateRecord({ id: 'p', name: 'P', levels: [{ id: 'g', name: 'Ground', height: 3, shapes: [rect, circle] }], schemaVersion: 1 });
+
+    expect(project.levels[0].shapes).toEqual([
+      rect,
+      { id: 'c', type: 'ellipse', x: 0, y: -10, width: 40, height: 40, color: '#ff0000' }
+    ]);
+  });
+
+  it('should leave current records as they are', () => {
+    const project = { id: 'p', name: 'P', levels: [], schemaVersion: SCHEMA_VERSION };
+    expect(migrateRecord(project)).toBe(project);
+  });
+
+  it('should refuse records saved by a newer version', () => {
+    expect(() => migrateRecord({ name: 'Future', schemaVersion: SCHEMA_VERSION + 1 }))
+      .toThrow(/"Future" was saved by a newer version/);
+  });
+
+  it('should run only the migrations after the record version, in order', () => {
+    const registry = [
+      { version: 1, description: 'a', migrate: (record) => ({ ...record, steps: [...record.steps, 1] }) },
+      { version: 2, description: 'b', migrate: (record) => ({ ...record, steps: [...record.steps, 2] }) },
+      { version: 3, description: 'c', migrate: (record) => ({ ...record, steps: [...record.steps, 3] }) }
+    ];
+
+    expect(migrateRecord({ steps: [] }, registry)).toEqual({ steps: [1, 2, 3], schemaVersion: 3 });
+    expect(migrateRecord({ steps: [], schemaVersion: 1 }, registry)).toEqual({ steps: [2, 3], schemaVersion: 3 });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findOpeningHost,
+  getOpeningGeometry,
+  getOpeningOutline,
+  getDoorSwing,
+  resizeOpening,
+  reattachOpening
+} from '../../../src/utils/openings';
+import { translateShape } from '../../../src/utils/geometry';
+
+describe('openings', () => {
+  const wall = {
+    id: 'wall-1',
+    type: 'wall',
+    points: [{ x: 0, y: 0 }, { x: 200, y: 0 }, { x: 200, y: 100 }],
+    thickness: 10,
+    alignment: 'center',
+    closed: false
+  };
+  const line = { id: 'line-1', type: 'line', startX: 0, startY: 50, endX: 100, endY: 50 };
+  const door = {
+    id: 'door-1',
+    type: 'door',
+    hostId: 'wall-1',
+    segment: 0,
+    position: 0.5,
+    width: 40,
+    hinge: 'start',
+    side: 'left'
+  };
+
+  it('should find the nearest host segment', () => {
+    const target = findOpeningHost({ x: 203, y: 25 }, [line, wall], 5);
+    expect(target).toMatchObject({ hostId: 'wall-1', segment: 1, position: 0.25 });
+    expect(findOpeningHost({ x: 50, y: 48 }, [line, wall], 5).hostId).toBe('line-1');
+    expect(findOpeningHost({ x: 100, y: 30 }, [line, wall], 5)).toBeNull();
+  });
+
+  it('should place an opening at its relative position on the host', () => {
+    const geometry = getOpeningGeometry(door, wall);
+    expect(geometry.start).toEqual({ x: 80, y: 0 });
+    expect(geometry.end).toEqual({ x: 120, y: 0 });
+
+    // The outline spans the wall's thickness
+    const ys = getOpeningOutline(geometry).map(p => p.y);
+    expect(Math.min(...ys)).toBe(-5);
+    expect(Math.max(...ys)).toBe(5);
+  });
+
+  it('should follow its host when the host is moved or resized', () => {
+    const moved = getOpeningGeometry(door, translateShape(wall, 10, 20));
+    expect(moved.center).toEqual({ x: 110, y: 20 });
+
+    const stretched = { ...wall, points: [{ x: 0, y: 0 }, { x: 400, y: 0 }, { x: 400, y: 100 }] };
+    expect(getOpeningGeometry(door, stretched).center).toEqual({ x: 200, y: 0 });
+  });
+
+  it('should keep an opening inside its segment', () => {
+    const geometry = getOpeningGeometry({ ...door, position: 0 }, wall);
+    expect(geometry.start).toEqual({ x: 0, y: 0 });
+    expect(getOpeningGeometry({ ...door, segment: 5 }, line)).not.toBeNull();
+    expect(getOpeningGeometry(door, null)).toBeNull();
+  });
+
+  it('should swing a door a quarter turn from its hinge', () => {
+    const swing = getDoorSwing(door, getOpeningGeometry(door, wall));
+    // Left of a segment running +x is -y on screen
+    expect(swing.hinge).toEqual({ x: 80, y: -5 });
+    expect(swing.leafEnd.x).toBeCloseTo(80);
+    expect(swing.leafEnd.y).toBeCloseTo(-45);
+    expect(swing.jamb).toEqual({ x: 120, y: -5 });
+    expect(swing.anticlockwise).toBe(false);
+
+    const flipped = getDoorSwing({ ...door, hinge: 'end', side: 'right' }, getOpeningGeometry(door, wall));
+    expect(flipped.hinge).toEqual({ x: 120, y: 5 });
+    expect(flipped.leafEnd.y).toBeCloseTo(45);
+  });
+
+  it('should resize from one jamb while the other stays put', () => {
+    const resized = resizeOpening(door, wall, 'end', { x: 150, y: 3 });
+    const geometry = getOpeningGeometry(resized, wall);
+    expect(resized.width).toBe(70);
+    expect(geometry.start.x).toBeCloseTo(80);
+    expect(geometry.end.x).toBeCloseTo(150);
+  });
+
+  it('should reattach to the same spot after the host gains a vertex', () => {
+    const onSecond = { ...door, segment: 1, position: 0.5 };
+    const withVertex = {
+      ...wall,
+      points: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 200, y: 0 }, { x: 200, y: 100 }]
+    };
+    const reattached = reattachOpening(onSecond, wall, withVertex);
+    expect(reattached).toMatchObject({ segment: 2, position: 0.5 });
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getPolygonArea,
+  getPolygonPerimeter,
+  getVisualCenter
+} from '../../../src/utils/polygons';
+import { isPointInPolygon } from '../../../src/utils/geometry';
+
+describe('polygons', () => {
+  const square = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+
+  // L-shaped room whose centroid falls outside it
+  const lShape = [
+    { x: 0, y: 0 },
+    { x: 200, y: 0 },
+    { x: 200, y: 40 },
+    { x: 40, y: 40 },
+    { x: 40, y: 200 },
+    { x: 0, y: 200 }
+  ];
+
+  it('should calculate the area regardless of winding', () => {
+    expect(getPolygonArea(square)).toBe(10000);
+    expect(getPolygonArea([...square].reverse())).toBe(10000);
+    expect(getPolygonArea(lShape)).toBe(200 * 40 + 160 * 40);
+  });
+
+  it('should include the closing edge in the perimeter', () => {
+    expect(getPolygonPerimeter(square)).toBe(400);
+    expect(getPolygonPerimeter([{ x: 0, y: 0 }, { x: 3, y: 0 }, { x: 3, y: 4 }])).toBe(12);
+  });
+
+  it('should place the visual center at the middle of a convex room', () => {
+    const center = getVisualCenter(square);
+    expect(center.x).toBeCloseTo(50, 0);
+    expect(center.y).toBeCloseTo(50, 0);
+  });
+
+  it('should keep the visual center inside a concave room', () => {
+    const center = getVisualCenter(lShape);
+    expect(isPointInPolygon(center, [lShape])).toBe(true);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createRevision,
+  getRevisionContent,
+  describeShape,
+  diffLevels,
+  getRevisionsToPrune
+} from '../../../src/utils/revisions';
+
+describe('revisions', () => {
+  const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 };
+  const line = { id: 'l', type: 'line', startX: 0, startY: 0, endX: 10, endY: 0 };
+  const room = { id: 'p', type: 'polygon', name: 'Kitchen', points: [] };
+  const project = {
+    id: 'house',
+    name: 'House',
+    levels: [{ id: 'g', name: 'Ground Floor', shapes: [rect, line] }],
+    scale: { pixelsPerMeter: 50, unit: 'm' },
+    created: '2024-01-01T00:00:00.000Z',
+    lastModified: '2024-02-01T00:00:00.000Z'
+  };
+
+  it('should snapshot a project as a revision and give its content back', () => {
+    const revision = createRevision(project, '  First draft ');
+    expect(revision).toMatchObject({ projectId: 'house', created: project.lastModified, note: 'First draft', name: 'House' });
+    expect(revision.id).not.toBe('house');
+    expect(revision.levels).toEqual(project.levels);
+    // A snapshot, not a reference
+    expect(revision.levels).not.toBe(project.levels);
+
+    expect(getRevisionContent(revision)).toEqual({ name: 'House', levels: project.levels, scale: project.scale });
+  });
+
+  it('should list shapes added, removed and modified between versions', () => {
+    const later = [
+      { id: 'g', name: 'Ground Floor', shapes: [{ ...rect, width: 20 }, room] },
+      { id: 'f', name: 'First Floor', shapes: [] }
+    ];
+    const { added, removed, modified } = diffLevels(project.levels, later);
+
+    expect(added).toEqual([{ shape: room, level: 'Ground Floor' }]);
+    expect(removed).toEqual([{ shape: line, level: 'Ground Floor' }]);
+    expect(modified).toEqual([{ shape: { ...rect, width: 20 }, level: 'Ground Floor' }]);
+
+    // Moving a shape to another level is a modification
+    const moved = diffLevels(project.levels, [{ name: 'Ground Floor', shapes: [line] }, { name: 'First Floor', shapes: [rect] }]);
+    expect(moved.modified.map(entry => entry.level)).toEqual(['First Floor']);
+    expect(diffLevels(project.levels, project.levels)).toEqual({ added: [], removed: [], modified: [] });
+
+    // The order of a shape's fields is not a change
+    const reordered = project.levels.map(level => ({
+      ...level,
+      shapes: level.shapes.map(shape => Object.fromEntries(Object.entries(shape).reverse()))
+    }));
+    expect(diffLevels(project.levels, reordered).modified).toEqual([]);
+  });
+
+  it('should describe shapes by type and name', () => {
+    expect(describeShape(rect)).toBe('Rectangle');
+    expect(describeShape(room)).toBe('Room Kitchen');
+  });
+
+  it('should prune revisions beyond the count or age limit but keep the newest', () => {
+    const now = new Date('2024-06-30T00:00:00.000Z').getTime();
+    const revisions = ['2024-06-29', '2024-06-01', '2024-05-01', '2024-01-01'].map((date, i) => ({ id: String(i), created: `${date}T00:00:00.000Z` }));
+    const ids = (pruned) => pruned.map(revision => revision.id).sort();
+
+    expect(ids(getRevisionsToPrune(revisions, { keep: 2, maxAgeDays: null }, now))).toEqual(['2', '3']);
+    expect(ids(getRevisionsToPrune(revisions, { keep: null, maxAgeDays: 45 }, now))).toEqual(['2', '3']);
+    expect(ids(getRevisionsToPrune([...revisions].reverse(), { keep: 3, maxAgeDays: null }, now))).toEqual(['3']);
+    expect(getRevisionsToPrune(revisions, { keep: null, maxAgeDays: null }, now)).toEqual([]);
+    // The newest revision survives even when it is too old
+    expect(ids(getRevisionsToPrune(revisions, { keep: null, maxAgeDays: 0.5 }, now))).toEqual(['1', '2', '3']);
+  });
+});
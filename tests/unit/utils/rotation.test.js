@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isRotatable,
+  normalizeAngle,
+  rotatePoint,
+  toShapeFrame,
+  getBoxCorners,
+  getRotationHandle,
+  getRotationTowards,
+  resizeRotatedBox
+} from '../../../src/utils/rotation';
+import { getShapeBounds } from '../../../src/utils/viewport';
+import { getSnapPoints } from '../../../src/utils/snapping';
+import { getShapeAnnotations } from '../../../src/utils/annotations';
+import { exportSvg } from '../../../src/utils/svgExport';
+
+// Compare points to a few decimals, since rotations go through sin and cos
+const rounded = (point) => ({ x: Math.round(point.x * 1000) / 1000 || 0, y: Math.round(point.y * 1000) / 1000 || 0 });
+
+describe('rotation', () => {
+  const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 100, height: 50 };
+  const turned = { ...rect, rotation: 90 };
+
+  it('should only rotate shapes that support it', () => {
+    expect(isRotatable(rect)).toBe(true);
+    expect(isRotatable({ type: 'line' })).toBe(false);
+    expect(normalizeAngle(-90)).toBe(270);
+    expect(normalizeAngle(375)).toBe(15);
+  });
+
+  it('should turn points clockwise on screen about a center', () => {
+    expect(rounded(rotatePoint({ x: 10, y: 0 }, { x: 0, y: 0 }, 90))).toEqual({ x: 0, y: 10 });
+    expect(rounded(toShapeFrame({ x: 50, y: 75 }, turned))).toEqual({ x: 100, y: 25 });
+  });
+
+  it('should place corners and the rotation handle of a rotated box', () => {
+    expect(getBoxCorners(rect)).toEqual([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }, { x: 0, y: 50 }]);
+    expect(getBoxCorners(turned).map(rounded)).toEqual([
+      { x: 75, y: -25 }, { x: 75, y: 75 }, { x: 25, y: 75 }, { x: 25, y: -25 }
+    ]);
+    expect(getRotationHandle(rect, 20)).toEqual({ x: 50, y: -20 });
+    expect(rounded(getRotationHandle(turned, 20))).toEqual({ x: 95, y: 25 });
+  });
+
+  it('should point the top of the shape at the cursor, snapping with Shift', () => {
+    expect(getRotationTowards(rect, { x: 50, y: -100 })).toBe(0);
+    expect(getRotationTowards(rect, { x: 150, y: 25 })).toBe(90);
+    expect(getRotationTowards(rect, { x: -50, y: 25 })).toBe(270);
+
+    // 20° off vertical snaps to the nearest multiple of 15°
+    const point = rotatePoint({ x: 50, y: -100 }, { x: 50, y: 25 }, 20);
+    expect(getRotationTowards(rect, point)).toBeCloseTo(20);
+    expect(getRotationTowards(rect, point, true)).toBe(15);
+  });
+
+  it('should resize a rotated box along its own axes, keeping the opposite corner', () => {
+    const resized = resizeRotatedBox(turned, 'bottom-right', { x: 25, y: 125 });
+    expect(resized.width).toBeCloseTo(150);
+    expect(resized.height).toBeCloseTo(50);
+    expect(resized.rotation).toBe(90);
+    expect(rounded(getBoxCorners(resized)[0])).toEqual({ x: 75, y: -25 });
+
+    // Sides don't collapse when dragged past the opposite corner
+    const tiny = resizeRotatedBox(turned, 'top-left', { x: 0, y: 100 });
+    expect([tiny.width, tiny.height]).toEqual([10, 10]);
+    expect(rounded(getBoxCorners(tiny)[2])).toEqual({ x: 25, y: 75 });
+  });
+
+  it('should give rotated boxes their real bounds, snap points, labels and SVG transform', () => {
+    expect(getShapeBounds(turned)).toMatchObject({ minX: 25, maxX: 75 });
+    expect(getSnapPoints(turned).map(rounded)).toContainEqual({ x: 25, y: -25 });
+
+    const [widthLabel] = getShapeAnnotations(turned, { pixelsPerMeter: 50, unit: 'm' });
+    expect(rounded(widthLabel)).toEqual({ x: 80, y: 10 });
+
+    expect(exportSvg([turned])).toContain('transform="rotate(90 50 25)"');
+    expect(exportSvg([rect])).not.toContain('transform=');
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import {
+  expandToGroups,
+  toggleInSelection,
+  rectFromPoints,
+  getShapesInRect,
+  getSelectedGroupId,
+  canGroup,
+  canUngroup,
+  groupShapes,
+  ungroupShapes
+} from '../../../src/utils/selection';
+import { scaleShape } from '../../../src/utils/geometry';
+
+describe('selection', () => {
+  const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 50, height: 50, groupId: 'g' };
+  const line = { id: 'l', type: 'line', x: 60, y: 0, width: 40, height: 0, startX: 60, startY: 0, endX: 100, endY: 0, groupId: 'g' };
+  const circle = { id: 'c', type: 'circle', x: 200, y: 200, width: 20, height: 20 };
+  const door = { id: 'd', type: 'door', hostId: 'w', segment: 0, position: 0.5, width: 10 };
+  const shapes = [rect, line, circle, door];
+
+  it('should select whole groups', () => {
+    expect(expandToGroups([rect], shapes).map(s => s.id)).toEqual(['r', 'l']);
+    expect(expandToGroups([circle], shapes)).toEqual([circle]);
+  });
+
+  it('should toggle a shape and its group in and out of the selection', () => {
+    const added = toggleInSelection([circle], line, shapes);
+    expect(added.map(s => s.id)).toEqual(['c', 'r', 'l']);
+    expect(toggleInSelection(added, rect, shapes)).toEqual([circle]);
+  });
+
+  it('should select shapes entirely inside a marquee', () => {
+    const marquee = rectFromPoints({ x: 110, y: 60 }, { x: -5, y: -5 });
+    expect(marquee).toEqual({ x: -5, y: -5, width: 115, height: 65 });
+    expect(getShapesInRect(shapes, marquee).map(s => s.id)).toEqual(['r', 'l']);
+
+    // Catching part of a group still selects all of it
+    expect(getShapesInRect(shapes, { x: -5, y: -5, width: 60, height: 60 })).toHaveLength(2);
+    expect(getShapesInRect(shapes, { x: 150, y: 150, width: 30, height: 30 })).toEqual([]);
+  });
+
+  it('should recognise a selection that is exactly one group', () => {
+    expect(getSelectedGroupId([rect, line], shapes)).toBe('g');
+    expect(getSelectedGroupId([rect], shapes)).toBeNull();
+    expect(getSelectedGroupId([rect, line, circle], shapes)).toBeNull();
+  });
+
+  it('should group and ungroup shapes', () => {
+    expect(canGroup([rect, line], shapes)).toBe(false);
+    expect(canGroup([rect, line, circle], shapes)).toBe(true);
+    expect(canUngroup([circle])).toBe(false);
+
+    const grouped = groupShapes([rect, line, circle]);
+    const groupId = grouped[0].groupId;
+    expect(groupId).toBeTruthy();
+    expect(groupId).not.toBe('g');
+    expect(grouped.every(shape => shape.groupId === groupId)).toBe(true);
+
+    const ungrouped = ungroupShapes(grouped);
+    expect(ungrouped.some(shape => 'groupId' in shape)).toBe(false);
+  });
+
+  it('should scale shapes with their group box', () => {
+    const from = { x: 0, y: 0, width: 100, height: 50 };
+    const to = { x: 10, y: 10, width: 200, height: 100 };
+
+    expect(scaleShape(rect, from, to)).toMatchObject({ x: 10, y: 10, width: 100, height: 100 });
+    expect(scaleShape(line, from, to)).toMatchObject({ startX: 130, startY: 10, endX: 210, endY: 10 });
+  });
+});
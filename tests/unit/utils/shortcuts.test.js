@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SHORTCUTS,
+  SHORTCUTS_KEY,
+  eventToBinding,
+  getBindings,
+  findShortcut,
+  assignBinding,
+  removeBinding,
+  resetBinding,
+  formatBinding,
+  loadCustomBindings,
+  saveCustomBindings
+} from '../../../src/utils/shortcuts';
+
+describe('shortcuts', () => {
+  const key = (key, modifiers = {}) => ({ key, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...modifiers });
+
+  // In-memory stand-in for localStorage
+  const createStorage = (items = {}) => ({
+    getItem: (name) => (name in items ? items[name] : null),
+    setItem: (name, value) => { items[name] = String(value); },
+    removeItem: (name) => { delete items[name]; },
+    items
+  });
+
+  it('should turn key presses into bindings', () => {
+    expect(eventToBinding(key('v'))).toBe('V');
+    expect(eventToBinding(key('s', { metaKey: true }))).toBe('Ctrl+S');
+    expect(eventToBinding(key('Z', { ctrlKey: true, shiftKey: true }))).toBe('Ctrl+Shift+Z');
+    expect(eventToBinding(key('ArrowUp', { shiftKey: true }))).toBe('Shift+ArrowUp');
+    // Shift is part of the character itself
+    expect(eventToBinding(key('?', { shiftKey: true }))).toBe('?');
+    expect(eventToBinding(key(' '))).toBe('Space');
+    expect(eventToBinding(key('Shift', { shiftKey: true }))).toBeNull();
+  });
+
+  it('should find the command bound to a key', () => {
+    const bindings = getBindings();
+    expect(findShortcut('V', bindings)).toBe('tool-select');
+    expect(findShortcut('C', bindings)).toBe('tool-ellipse');
+    expect(findShortcut('Backspace', bindings)).toBe('delete');
+    expect(findShortcut('Shift+ArrowLeft', bindings)).toBe('nudge-left-grid');
+    expect(findShortcut('Ctrl+Y', bindings)).toBe('redo');
+    expect(findShortcut('Q', bindings)).toBeNull();
+    expect(findShortcut(null, bindings)).toBeNull();
+  });
+
+  it('should not bind one key to two commands by default', () => {
+    const all = SHORTCUTS.flatMap(shortcut => shortcut.keys);
+    expect(new Set(all).size).toBe(all.length);
+  });
+
+  it('should remap keys, moving a key away from its old command', () => {
+    let custom = assignBinding({}, 'tool-wall', 'W');
+    expect(getBindings(custom)['tool-wall']).toEqual(['W']);
+
+    // L now starts a wall instead of a line
+    custom = assignBinding(custom, 'tool-wall', 'L');
+    const bindings = getBindings(custom);
+    expect(bindings['tool-wall']).toEqual(['W', 'L']);
+    expect(bindings['tool-line']).toEqual([]);
+    expect(findShortcut('L', bindings)).toBe('tool-wall');
+
+    custom = removeBinding(custom, 'delete', 'Backspace');
+    expect(getBindings(custom).delete).toEqual(['Delete']);
+
+    custom = resetBinding(custom, 'tool-line');
+    expect(getBindings(custom)['tool-line']).toEqual(['L']);
+    expect(custom['tool-line']).toBeUndefined();
+  });
+
+  it('should not bind anything to the clipboard keys', () => {
+    const custom = { 'tool-wall': ['W'] };
+    expect(assignBinding(custom, 'tool-wall', 'Ctrl+C')).toBe(custom);
+    expect(assignBinding({}, 'duplicate', 'Ctrl+V')).toEqual({});
+    expect(findShortcut('Ctrl+X', getBindings(assignBinding({}, 'delete', 'Ctrl+X')))).toBeNull();
+  });
+
+  it('should show arrow keys as arrows', () => {
+    expect(formatBinding('Shift+ArrowLeft')).toBe('Shift+←');
+    expect(formatBinding('Ctrl+S')).toBe('Ctrl+S');
+  });
+
+  it('should save only the remapped commands and load them back', () => {
+    const storage = createStorage();
+    saveCustomBindings({ 'tool-wall': ['W'] }, storage);
+    expect(JSON.parse(storage.items[SHORTCUTS_KEY])).toEqual({ 'tool-wall': ['W'] });
+    expect(loadCustomBindings(storage)).toEqual({ 'tool-wall': ['W'] });
+
+    saveCustomBindings({}, storage);
+    expect(storage.items[SHORTCUTS_KEY]).toBeUndefined();
+    expect(loadCustomBindings(storage)).toEqual({});
+  });
+
+  it('should ignore stored bindings it cannot use', () => {
+    const storage = createStorage({
+      [SHORTCUTS_KEY]: JSON.stringify({ 'tool-wall': ['W'], 'no-such-command': ['X'], delete: 'Delete' })
+    });
+    expect(loadCustomBindings(storage)).toEqual({ 'tool-wall': ['W'] });
+    expect(loadCustomBindings(createStorage({ [SHORTCUTS_KEY]: '{oops' }))).toEqual({});
+
+    // Clipboard keys stored before they were reserved
+    const reserved = createStorage({ [SHORTCUTS_KEY]: JSON.stringify({ duplicate: ['Ctrl+D', 'Ctrl+V'] }) });
+    expect(loadCustomBindings(reserved)).toEqual({ duplicate: ['Ctrl+D'] });
+  });
+});
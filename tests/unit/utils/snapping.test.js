@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { findSnap, findMoveSnap, getSnapPoints, snapToGrid } from '../../../src/utils/snapping';
+import { translateShape } from '../../../src/utils/geometry';
+
+describe('snapping', () => {
+  const grid = { show: true, spacing: 20, snapToGrid: true, snapToGeometry: true };
+  const line = { id: 'l1', type: 'line', x: 0, y: 0, width: 100, height: 0, startX: 0, startY: 0, endX: 100, endY: 0 };
+  const rect = { id: 'r1', type: 'rectangle', x: 200, y: 200, width: 50, height: 30 };
+  const circle = { id: 'c1', type: 'ellipse', x: 300, y: 300, width: 40, height: 40 };
+
+  it('should list the feature points of each shape type', () => {
+    expect(getSnapPoints(line).map(p => p.kind)).toEqual(['endpoint', 'endpoint', 'midpoint']);
+    expect(getSnapPoints(rect)).toHaveLength(4);
+    expect(getSnapPoints(circle)).toEqual([{ x: 320, y: 320, kind: 'center' }]);
+  });
+
+  it('should snap to the nearest grid intersection', () => {
+    expect(snapToGrid({ x: 29, y: 51 }, 20)).toEqual({ x: 20, y: 60, kind: 'grid' });
+  });
+
+  it('should prefer nearby geometry over the grid', () => {
+    const snap = findSnap({ x: 53, y: 4 }, [line], { grid });
+    expect(snap).toEqual({ x: 50, y: 0, kind: 'midpoint', shapeId: 'l1', index: 2 });
+  });
+
+  it('should fall back to the grid when no geometry is close', () => {
+    const snap = findSnap({ x: 151, y: 99 }, [line, rect], { grid });
+    expect(snap).toEqual({ x: 160, y: 100, kind: 'grid' });
+  });
+
+  it('should ignore excluded shapes', () => {
+    const snap = findSnap({ x: 201, y: 201 }, [rect], {
+      grid: { ...grid, snapToGrid: false },
+      excludeIds: ['r1']
+    });
+    expect(snap).toBeNull();
+  });
+
+  it('should return null when snapping is off', () => {
+    const snap = findSnap({ x: 1, y: 1 }, [line], {
+      grid: { ...grid, snapToGrid: false, snapToGeometry: false }
+    });
+    expect(snap).toBeNull();
+  });
+
+  it('should nudge a moving shape onto a corner of another shape', () => {
+    const moving = translateShape({ ...rect, id: 'r2' }, 53, 3);
+    const snap = findMoveSnap(getSnapPoints(moving), [rect], { grid, excludeIds: ['r2'] });
+
+    // The moved top-left corner (253, 203) lands on the top-right corner (250, 200)
+    expect(snap.dx).toBe(-3);
+    expect(snap.dy).toBe(-3);
+    expect(snap.target.kind).toBe('corner');
+  });
+
+  it('should translate lines along with their endpoints', () => {
+    const moved = translateShape(line, 10, 5);
+    expect(moved).toMatchObject({ x: 10, y: 5, startX: 10, startY: 5, endX: 110, endY: 5 });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { exportSvg, escapeXml, SVG_MARGIN } from '../../../src/utils/svgExport';
+import { WALL_FILL } from '../../../src/utils/walls';
+
+describe('svgExport', () => {
+  const scale = { pixelsPerMeter: 50, unit: 'm' };
+  const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 100, height: 50, color: '#ff0000', fillColor: 'transparent' };
+  const circle = { id: 'c', type: 'ellipse', x: 200, y: 100, width: 40, height: 40, color: '#333333', fillColor: '#00ff00' };
+  const line = { id: 'l', type: 'line', startX: 0, startY: 200, endX: 100, endY: 200, color: '#0000ff' };
+
+  it('should cover the full bounds of the drawing plus a margin', () => {
+    const svg = exportSvg([rect, circle, line], { scale });
+    const width = 240 + SVG_MARGIN * 2;
+    const height = 200 + SVG_MARGIN * 2;
+    expect(svg).toContain(`viewBox="${-SVG_MARGIN} ${-SVG_MARGIN} ${width} ${height}"`);
+    expect(svg).toContain(`width="${width}" height="${height}"`);
+    expect(svg.startsWith('<?xml')).toBe(true);
+  });
+
+  it('should turn rectangles, circles and lines into SVG elements with their colors', () => {
+    const svg = exportSvg([rect, circle, line], { scale });
+    expect(svg).toContain('<rect x="0" y="0" width="100" height="50" fill="none" stroke="#ff0000" stroke-width="1"/>');
+    expect(svg).toContain('<circle cx="220" cy="120" r="20" fill="#00ff00" stroke="#333333" stroke-width="1"/>');
+    expect(svg).toContain('<line x1="0" y1="200" x2="100" y2="200" fill="none" stroke="#0000ff" stroke-width="1"/>');
+  });
+
+  it('should include dimension text only when annotations are asked for', () => {
+    expect(exportSvg([rect], { scale })).not.toContain('<text');
+    const svg = exportSvg([rect], { scale, annotations: true });
+    expect(svg).toContain('>2.00 m</text>');
+    expect(svg).toContain('text-anchor="end">1.00 m</text>');
+  });
+
+  it('should draw walls, rooms and openings', () => {
+    const wall = { id: 'w', type: 'wall', points: [{ x: 0, y: 0 }, { x: 200, y: 0 }], thickness: 10, alignment: 'center', color: '#333333', fillColor: 'transparent' };
+    const door = { id: 'd', type: 'door', hostId: 'w', segment: 0, position: 0.5, width: 40, hinge: 'start', side: 'left', color: '#333333' };
+    const room = { id: 'p', type: 'polygon', name: 'Kitchen & Dining', points: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }], color: '#333333', fillColor: 'transparent' };
+    const svg = exportSvg([wall, door, room], { scale });
+
+    expect(svg).toContain(`fill="${WALL_FILL}" fill-rule="evenodd"`);
+    expect(svg).toContain('<polygon points="0,0 100,0 100,100 0,100"');
+    // Door swing arc of the door's width
+    expect(svg).toMatch(/ A40,40 0 0 [01] /);
+    // Room names are always shown, escaped
+    expect(svg).toContain('>Kitchen &amp; Dining</text>');
+  });
+
+  it('should leave out hidden layers and take colors from layers', () => {
+    const layers = [
+      { id: 'a', name: 'A', visible: true, locked: false, color: '#abcdef', fillColor: null },
+      { id: 'b', name: 'B', visible: false, locked: false, color: null, fillColor: null }
+    ];
+    const svg = exportSvg([
+      { ...rect, layerId: 'a', color: null, fillColor: null },
+      { ...circle, layerId: 'b' }
+    ], { scale, layers });
+
+    expect(svg).toContain('stroke="#abcdef"');
+    expect(svg).not.toContain('<circle');
+  });
+
+  it('should produce a valid empty document and escape the title', () => {
+    const svg = exportSvg([], { title: 'Plan <1>' });
+    expect(svg).toContain('<title>Plan &lt;1&gt;</title>');
+    expect(svg).toContain('</svg>');
+    expect(escapeXml(`"a" & 'b'`)).toBe('&quot;a&quot; &amp; &apos;b&apos;');
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import {
+  estimateTextWidth,
+  getTextAnchor,
+  createText,
+  updateText,
+  getTextLabel
+} from '../../../src/utils/text';
+import { exportSvg } from '../../../src/utils/svgExport';
+import { exportDxf } from '../../../src/utils/dxf';
+
+describe('text', () => {
+  const scale = { pixelsPerMeter: 50, unit: 'm' };
+  const settings = { fontSize: 20, align: 'left', rotation: 0 };
+  const point = { x: 100, y: 100 };
+
+  it('should fit its box to the content around the point it hangs from', () => {
+    expect(estimateTextWidth('Hello', 20)).toBeCloseTo(55);
+
+    const text = createText(point, 'Hello', settings, { id: 't', color: '#333333' });
+    expect(text).toMatchObject({ id: 't', type: 'text', text: 'Hello', fontSize: 20, align: 'left', x: 100, y: 88, height: 24 });
+    expect(text.width).toBeCloseTo(55);
+    expect(text.rotation).toBeUndefined();
+    expect(getTextAnchor(text)).toEqual(point);
+
+    const centered = createText(point, 'Hello', { ...settings, align: 'center' });
+    expect(centered.x).toBeCloseTo(72.5);
+  });
+
+  it('should keep its anchor when edited', () => {
+    const text = createText(point, 'Hello', settings);
+    const edited = updateText(text, { text: 'Hi' });
+    expect(edited.x).toBe(100);
+    expect(edited.width).toBeCloseTo(22);
+    // Right-aligned text grows to the left of the same point
+    const right = updateText(text, { align: 'right' });
+    expect(right.x + right.width).toBeCloseTo(100);
+    expect(right.x).toBeCloseTo(45);
+    expect(updateText(text, { fontSize: 40 })).toMatchObject({ x: 100, y: 76, height: 48 });
+  });
+
+  it('should turn about the point it hangs from', () => {
+    const text = createText(point, 'Hello', { ...settings, rotation: 90 });
+    expect(text.x).toBeCloseTo(72.5);
+    expect(text.y).toBeCloseTo(115.5);
+    const anchor = getTextAnchor(text);
+    expect(anchor.x).toBeCloseTo(100);
+    expect(anchor.y).toBeCloseTo(100);
+  });
+
+  it('should place its label on the baseline', () => {
+    const text = createText(point, 'Hello', settings);
+    expect(getTextLabel(text)).toEqual({ x: 100, y: 107, text: 'Hello', anchor: 'start', rotation: 0, size: 20 });
+    expect(getTextLabel(updateText(text, { align: 'right' })).anchor).toBe('end');
+  });
+
+  it('should export as text with its size and rotation', () => {
+    const text = { id: 't', ...createText(point, 'A & B', { ...settings, rotation: 30 }), color: '#ff0000' };
+
+    const svg = exportSvg([text], { scale });
+    expect(svg).toContain('>A &amp; B</text>');
+    expect(svg).toContain('font-size="20"');
+    expect(svg).toContain('rotate(30');
+
+    const dxf = exportDxf([text], { scale });
+    expect(dxf).toContain('  0\nTEXT\n');
+    // 20 px at 50 px/m, turned anticlockwise once Y points up
+    expect(dxf).toContain(' 40\n0.4\n');
+    expect(dxf).toContain(' 50\n330\n');
+  });
+});
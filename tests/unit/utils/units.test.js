@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatLength,
+  formatArea,
+  formatScale,
+  parseLength,
+  evaluateLength,
+  evaluateAngle,
+  evaluateNumber,
+  pixelsToMeters
+} from '../../../src/utils/units';
+
+describe('units', () => {
+  const metric = { pixelsPerMeter: 50, unit: 'm' };
+
+  it('should convert pixels to metres using the scale', () => {
+    expect(pixelsToMeters(100, metric)).toBe(2);
+  });
+
+  it('should format lengths in metric units', () => {
+    expect(formatLength(125, metric)).toBe('2.50 m');
+    expect(formatLength(125, { ...metric, unit: 'cm' })).toBe('250.0 cm');
+    expect(formatLength(125, { ...metric, unit: 'mm' })).toBe('2500 mm');
+  });
+
+  it('should format lengths in feet and inches', () => {
+    // 1 ft = 0.3048 m = 30.48 px at 100 px/m
+    const imperial = { pixelsPerMeter: 100, unit: 'ft-in' };
+    expect(formatLength(30.48 * 12.5, imperial)).toBe('12\' 6"');
+    expect(formatLength(2.54 * 5, imperial)).toBe('5"');
+  });
+
+  it('should format areas in square metres or square feet', () => {
+    expect(formatArea(100 * 50, metric)).toBe('2.00 m²');
+    expect(formatArea(30.48 * 30.48, { pixelsPerMeter: 100, unit: 'ft-in' })).toBe('1.0 ft²');
+  });
+
+  it('should describe the scale', () => {
+    expect(formatScale(metric)).toBe('1 m = 50 px');
+    expect(formatScale({ ...metric, unit: 'cm' })).toBe('1 cm = 0.5 px');
+  });
+
+  it('should parse lengths with and without unit suffixes', () => {
+    expect(parseLength('3.5', 'm')).toBeCloseTo(3.5);
+    expect(parseLength('350', 'cm')).toBeCloseTo(3.5);
+    expect(parseLength('3.5m', 'cm')).toBeCloseTo(3.5);
+    expect(parseLength('350 cm', 'm')).toBeCloseTo(3.5);
+    expect(parseLength('12\'6"', 'm')).toBeCloseTo(3.81);
+    expect(parseLength('12 ft 6 in', 'm')).toBeCloseTo(3.81);
+    expect(parseLength('10', 'ft-in')).toBeCloseTo(3.048);
+  });
+
+  it('should reject text that is not a length', () => {
+    expect(parseLength('', 'm')).toBeNaN();
+    expect(parseLength('abc', 'm')).toBeNaN();
+    expect(parseLength('3 parsecs', 'm')).toBeNaN();
+  });
+
+  it('should evaluate arithmetic on lengths', () => {
+    expect(evaluateLength('3.5m', 'cm')).toBeCloseTo(3.5);
+    expect(evaluateLength('12\'6"', 'm')).toBeCloseTo(3.81);
+    expect(evaluateLength('200+45', 'mm')).toBeCloseTo(0.245);
+    expect(evaluateLength('3.5m - 20cm', 'm')).toBeCloseTo(3.3);
+    expect(evaluateLength('2 * 1.2m', 'm')).toBeCloseTo(2.4);
+    expect(evaluateLength('(4m + 30) / 2', 'cm')).toBeCloseTo(2.15);
+    expect(evaluateLength('-2 m', 'm')).toBeCloseTo(-2);
+  });
+
+  it('should reject arithmetic that is not a length', () => {
+    expect(evaluateLength('', 'm')).toBeNaN();
+    expect(evaluateLength('2m * 3m', 'm')).toBeNaN();
+    expect(evaluateLength('3m / 0', 'm')).toBeNaN();
+    expect(evaluateLength('3m +', 'm')).toBeNaN();
+    expect(evaluateLength('(3m', 'm')).toBeNaN();
+  });
+
+  it('should evaluate angles and plain numbers', () => {
+    expect(evaluateAngle('90° - 12.5')).toBeCloseTo(77.5);
+    expect(evaluateAngle('360/8')).toBeCloseTo(45);
+    expect(evaluateAngle('north')).toBeNaN();
+    expect(evaluateNumber('12 * 1.5')).toBeCloseTo(18);
+    expect(evaluateNumber('12px')).toBeNaN();
+  });
+});
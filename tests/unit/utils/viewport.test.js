@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import {
+  screenToWorld,
+  worldToScreen,
+  zoomAt,
+  fitBounds,
+  getShapesBounds,
+  MAX_ZOOM
+} from '../../../src/utils/viewport';
+
+describe('viewport', () => {
+  const viewport = { x: 100, y: 50, zoom: 2 };
+
+  it('should convert between screen and world coordinates', () => {
+    const world = screenToWorld({ x: 300, y: 250 }, viewport);
+    expect(world).toEqual({ x: 100, y: 100 });
+    expect(worldToScreen(world, viewport)).toEqual({ x: 300, y: 250 });
+  });
+
+  it('should keep the point under the cursor fixed when zooming', () => {
+    const cursor = { x: 320, y: 180 };
+    const before = screenToWorld(cursor, viewport);
+    const zoomed = zoomAt(viewport, cursor, 1.5);
+
+    expect(zoomed.zoom).toBe(3);
+    const after = screenToWorld(cursor, zoomed);
+    expect(after.x).toBeCloseTo(before.x);
+    expect(after.y).toBeCloseTo(before.y);
+  });
+
+  it('should clamp the zoom level', () => {
+    expect(zoomAt(viewport, { x: 0, y: 0 }, 1000).zoom).toBe(MAX_ZOOM);
+  });
+
+  it('should compute bounds across shape types', () => {
+    const bounds = getShapesBounds([
+      { type: 'rectangle', x: 10, y: 20, width: 100, height: 50 },
+      { type: 'line', startX: 300, startY: 5, endX: 200, endY: 40 }
+    ]);
+    expect(bounds).toEqual({ minX: 10, minY: 5, maxX: 300, maxY: 70 });
+    expect(getShapesBounds([])).toBeNull();
+  });
+
+  it('should fit bounds into the screen centred', () => {
+    const fitted = fitBounds({ minX: 0, minY: 0, maxX: 100, maxY: 50 }, 300, 300, 50);
+
+    expect(fitted.zoom).toBe(2);
+    expect(worldToScreen({ x: 50, y: 25 }, fitted)).toEqual({ x: 150, y: 150 });
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getWallOffsets,
+  getWallOutline,
+  getWallSegments
+} from '../../../src/utils/walls';
+import { isPointInPolygon, withPointsBounds, dedupePoints } from '../../../src/utils/geometry';
+
+describe('walls', () => {
+  const corner = {
+    type: 'wall',
+    points: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }],
+    thickness: 10,
+    alignment: 'center',
+    closed: false
+  };
+
+  it('should place the wall body according to its alignment', () => {
+    expect(getWallOffsets(10, 'center')).toEqual([5, -5]);
+    expect(getWallOffsets(10, 'left')).toEqual([10, 0]);
+    expect(getWallOffsets(10, 'right')).toEqual([0, -10]);
+  });
+
+  it('should mitre the corner of a chain', () => {
+    const [outline] = getWallOutline(corner);
+
+    // Forward face on the left of the path, then the right face backwards
+    expect(outline).toHaveLength(6);
+    expect(outline[1].x).toBeCloseTo(105);
+    expect(outline[1].y).toBeCloseTo(-5);
+    expect(outline[4].x).toBeCloseTo(95);
+    expect(outline[4].y).toBeCloseTo(5);
+  });
+
+  it('should put a left-aligned wall entirely on one side of the path', () => {
+    const [outline] = getWallOutline({
+      ...corner,
+      points: [{ x: 0, y: 0 }, { x: 100, y: 0 }],
+      alignment: 'left'
+    });
+    const ys = outline.map(p => p.y);
+
+    expect(Math.min(...ys)).toBeCloseTo(-10);
+    expect(Math.max(...ys)).toBeCloseTo(0);
+  });
+
+  it('should build inner and outer rings for closed walls', () => {
+    const room = {
+      ...corner,
+      points: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }],
+      closed: true
+    };
+    const rings = getWallOutline(room);
+
+    expect(rings).toHaveLength(2);
+    expect(getWallSegments(room)).toHaveLength(4);
+    // Inside the wall body, but not in the middle of the room
+    expect(isPointInPolygon({ x: 50, y: 2 }, rings)).toBe(true);
+    expect(isPointInPolygon({ x: 50, y: 50 }, rings)).toBe(false);
+  });
+
+  it('should hit test along the wall body', () => {
+    const rings = getWallOutline(corner);
+
+    expect(isPointInPolygon({ x: 50, y: 3 }, rings)).toBe(true);
+    expect(isPointInPolygon({ x: 50, y: 8 }, rings)).toBe(false);
+    expect(isPointInPolygon({ x: 102, y: 50 }, rings)).toBe(true);
+  });
+
+  it('should drop duplicate points and compute bounds', () => {
+    expect(dedupePoints([{ x: 1, y: 1 }, { x: 1, y: 1 }, { x: 5, y: 1 }])).toHaveLength(2);
+    expect(withPointsBounds(corner)).toMatchObject({ x: 0, y: 0, width: 100, height: 100 });
+  });
+});
@@ -1,13 +1,15 @@
 import { defineConfig } from 'vitest/config'
-import vue from '@vitejs/plugin-vue'
 import { fileURLToPath } from 'node:url'
 import { mergeConfig } from 'vite'
 import viteConfig from './vite.config.js'
 
+// The Vue plugin comes from vite.config.js. Adding it here as well would
+// register it twice, and every .vue file would be compiled twice over:
+// components that tests mount for real, like DrawingCanvas, then fail to
+// parse ("Element is missing end tag").
 export default mergeConfig(
   viteConfig,
   defineConfig({
-    plugins: [vue()],
     test: {
       globals: true,
       environment: 'happy-dom',